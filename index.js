@@ -13,16 +13,30 @@ const { validateApiKey } = require('./src/middleware/auth');
 const { errorHandler, notFoundHandler } = require('./src/middleware/errorHandler');
 const { setupWebSocket } = require('./src/websocket/handler');
 const { registry } = require('./src/mcp/toolRegistry');
+const { startListChangedNotifications } = require('./src/mcp/listChanged');
+const { startResourceSubscriptions } = require('./src/mcp/resourceSubscriptions');
+const { startLogForwarding } = require('./src/mcp/logForwarding');
+const { upstreamManager } = require('./src/gateway/upstreams');
 
 require('./src/tools');
+startListChangedNotifications();
+startResourceSubscriptions();
+startLogForwarding();
 
 registry.initialize().catch(err => {
   logger.warn('Failed to initialize dynamic tool registry', { error: err.message });
 });
 
+upstreamManager.start().catch(err => {
+  logger.warn('Failed to start MCP gateway', { error: err.message });
+});
+
 const mcpRoutes = require('./src/routes/mcp');
 const healthRoutes = require('./src/routes/health');
 const settingsRoutes = require('./src/routes/settings');
+const streamableHttpTransport = require('./src/transports/streamableHttp');
+const { router: jsonRpcTransport, handleParseError: handleJsonRpcParseError } = require('./src/transports/jsonRpc');
+const legacySseTransport = require('./src/transports/sse');
 
 const app = express();
 
@@ -53,6 +67,7 @@ const limiter = rateLimit({
 });
 
 app.use('/mcp', limiter);
+app.use('/messages', limiter);
 
 app.use((req, res, next) => {
   if (!req.path.startsWith('/css') && !req.path.startsWith('/js') && !req.path.startsWith('/images')) {
@@ -84,14 +99,18 @@ app.get('/api/info', (req, res) => {
     endpoints: {
       health: '/health',
       mcp: '/mcp',
+      rpc: '/mcp/rpc',
       websocket: '/ws',
+      sse: '/sse',
     },
     documentation: 'See /mcp/capabilities for available features',
   });
 });
 
-app.use('/mcp', validateApiKey, mcpRoutes);
+app.use('/mcp', validateApiKey, streamableHttpTransport, jsonRpcTransport, mcpRoutes);
+app.use('/mcp/rpc', handleJsonRpcParseError);
 app.use('/api/settings', validateApiKey, settingsRoutes);
+app.use(legacySseTransport);
 
 app.use((req, res, next) => {
   if (req.method === 'GET' && !req.path.startsWith('/mcp') && !req.path.startsWith('/health') && !req.path.startsWith('/api') && !req.path.startsWith('/ws')) {
@@ -129,7 +148,10 @@ server.listen(PORT, '0.0.0.0', () => {
 ║    GET  /mcp/tools     - List available tools                  ║
 ║    POST /mcp/tools/call - Execute a tool                       ║
 ║    POST /mcp/sampling/create - AI completions                  ║
+║    POST /mcp           - MCP Streamable HTTP transport         ║
+║    POST /mcp/rpc       - Stateless JSON-RPC (batches)          ║
 ║    WS   /ws            - WebSocket connection                  ║
+║    GET  /sse           - Legacy HTTP+SSE transport             ║
 ║                                                                ║
 ║  Authentication:                                               ║
 ║    Include X-API-Key header (demo: demo-api-key)               ║
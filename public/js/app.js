@@ -99,10 +99,23 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+async function apiRequestAllPages(endpoint, field) {
+  const items = [];
+  let cursor;
+  
+  do {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    const data = await apiRequest(`${endpoint}${query}`);
+    items.push(...(data[field] || []));
+    cursor = data.nextCursor;
+  } while (cursor);
+  
+  return items;
+}
+
 async function loadTools() {
   try {
-    const data = await apiRequest('/mcp/tools');
-    state.tools = data.tools || [];
+    state.tools = await apiRequestAllPages('/mcp/tools', 'tools');
     return state.tools;
   } catch (error) {
     console.error('Failed to load tools:', error);
@@ -112,8 +125,7 @@ async function loadTools() {
 
 async function loadPrompts() {
   try {
-    const data = await apiRequest('/mcp/prompts');
-    state.prompts = data.prompts || [];
+    state.prompts = await apiRequestAllPages('/mcp/prompts', 'prompts');
     return state.prompts;
   } catch (error) {
     console.error('Failed to load prompts:', error);
@@ -123,8 +135,7 @@ async function loadPrompts() {
 
 async function loadResources() {
   try {
-    const data = await apiRequest('/mcp/resources');
-    state.resources = data.resources || [];
+    state.resources = await apiRequestAllPages('/mcp/resources', 'resources');
     return state.resources;
   } catch (error) {
     console.error('Failed to load resources:', error);
@@ -438,6 +449,9 @@ function showCreateApiKeyModal() {
         <label style="display: flex; align-items: center; gap: 4px;">
           <input type="checkbox" class="scope-checkbox" value="tools:execute" checked> Tools Execute
         </label>
+        <label style="display: flex; align-items: center; gap: 4px;">
+          <input type="checkbox" class="scope-checkbox" value="tools:destructive"> Tools Destructive
+        </label>
         <label style="display: flex; align-items: center; gap: 4px;">
           <input type="checkbox" class="scope-checkbox" value="prompts:read" checked> Prompts Read
         </label>
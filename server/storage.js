@@ -1,8 +1,13 @@
-const { eq, desc, and, sql } = require('drizzle-orm');
+const { eq, desc, and, inArray, sql } = require('drizzle-orm');
 const { db } = require('./db');
 const { apiKeys, providerSettings, serverSettings, activityLogs, chatHistory, generatedTools, toolCreationLogs } = require('../shared/schema');
 const { encrypt, decrypt, hashApiKey, generateApiKey, getKeyPrefix } = require('../src/utils/encryption');
 
+// Serializes version changes of one tool name until the transaction ends
+async function lockGeneratedToolName(tx, name) {
+  await tx.execute(sql`SELECT pg_advisory_xact_lock(hashtext(${name}))`);
+}
+
 class DatabaseStorage {
   async getApiKeys() {
     const keys = await db.select().from(apiKeys).where(eq(apiKeys.isActive, true));
@@ -199,6 +204,9 @@ class DatabaseStorage {
   }
 
   async getGeneratedTools(status = 'active') {
+    if (Array.isArray(status)) {
+      return await db.select().from(generatedTools).where(inArray(generatedTools.status, status)).orderBy(desc(generatedTools.createdAt));
+    }
     if (status) {
       return await db.select().from(generatedTools).where(eq(generatedTools.status, status)).orderBy(desc(generatedTools.createdAt));
     }
@@ -206,31 +214,60 @@ class DatabaseStorage {
   }
 
   async getGeneratedTool(name) {
-    const [tool] = await db.select().from(generatedTools).where(eq(generatedTools.name, name));
+    const [tool] = await db.select().from(generatedTools)
+      .where(and(eq(generatedTools.name, name), eq(generatedTools.status, 'active')));
     return tool;
   }
 
+  async getGeneratedToolVersions(name) {
+    return await db.select().from(generatedTools)
+      .where(eq(generatedTools.name, name))
+      .orderBy(desc(generatedTools.version));
+  }
+
   async getGeneratedToolById(id) {
     const [tool] = await db.select().from(generatedTools).where(eq(generatedTools.id, id));
     return tool;
   }
 
   async createGeneratedTool(data) {
-    const [tool] = await db.insert(generatedTools).values({
-      name: data.name,
-      description: data.description,
-      category: data.category || 'generated',
-      inputSchema: data.inputSchema,
-      handlerCode: data.handlerCode,
-      sourceType: data.sourceType,
-      sourceUrl: data.sourceUrl || null,
-      sourceData: data.sourceData || {},
-      version: 1,
-      status: data.status || 'active',
-      testResults: data.testResults || {},
-      securityScan: data.securityScan || {},
-    }).returning();
-    return tool;
+    return await db.transaction(async (tx) => {
+      await lockGeneratedToolName(tx, data.name);
+      const [latest] = await tx.select({ version: generatedTools.version })
+        .from(generatedTools)
+        .where(eq(generatedTools.name, data.name))
+        .orderBy(desc(generatedTools.version))
+        .limit(1);
+      const status = data.status || 'active';
+
+      // The new version replaces the active one; older versions stay callable as name@version
+      if (status === 'active') {
+        await tx.update(generatedTools)
+          .set({ status: 'inactive', updatedAt: new Date() })
+          .where(and(eq(generatedTools.name, data.name), eq(generatedTools.status, 'active')));
+      }
+
+      const [tool] = await tx.insert(generatedTools).values({
+        name: data.name,
+        title: data.title || null,
+        description: data.description,
+        category: data.category || 'generated',
+        inputSchema: data.inputSchema,
+        annotations: data.annotations || {},
+        handlerCode: data.handlerCode,
+        sourceType: data.sourceType,
+        sourceUrl: data.sourceUrl || null,
+        sourceData: data.sourceData || {},
+        version: (latest?.version || 0) + 1,
+        status,
+        timeoutMs: data.timeoutMs || null,
+        maxConcurrency: data.maxConcurrency || null,
+        cacheTtlMs: data.cacheTtlMs || null,
+        testResults: data.testResults || {},
+        securityScan: data.securityScan || {},
+      }).returning();
+      return tool;
+    });
   }
 
   async updateGeneratedTool(id, data) {
@@ -242,6 +279,32 @@ class DatabaseStorage {
     return tool;
   }
 
+  async activateGeneratedToolVersion(name, version) {
+    return await db.transaction(async (tx) => {
+      await lockGeneratedToolName(tx, name);
+      // Disabled versions were deleted and cannot be brought back this way
+      const [target] = await tx.select().from(generatedTools)
+        .where(and(
+          eq(generatedTools.name, name),
+          eq(generatedTools.version, version),
+          inArray(generatedTools.status, ['active', 'inactive'])
+        ));
+      if (!target) {
+        return undefined;
+      }
+
+      await tx.update(generatedTools)
+        .set({ status: 'inactive', updatedAt: new Date() })
+        .where(and(eq(generatedTools.name, name), eq(generatedTools.status, 'active')));
+
+      const [tool] = await tx.update(generatedTools)
+        .set({ status: 'active', updatedAt: new Date() })
+        .where(eq(generatedTools.id, target.id))
+        .returning();
+      return tool;
+    });
+  }
+
   async incrementToolUsage(id) {
     await db.update(generatedTools)
       .set({ 
@@ -252,11 +315,35 @@ class DatabaseStorage {
   }
 
   async deleteGeneratedTool(id) {
-    const [tool] = await db.update(generatedTools)
-      .set({ status: 'disabled' })
-      .where(eq(generatedTools.id, id))
-      .returning();
-    return tool;
+    return await db.transaction(async (tx) => {
+      const [row] = await tx.select({ name: generatedTools.name }).from(generatedTools).where(eq(generatedTools.id, id));
+      if (!row) {
+        return undefined;
+      }
+      await lockGeneratedToolName(tx, row.name);
+      const [current] = await tx.select().from(generatedTools).where(eq(generatedTools.id, id));
+
+      const [tool] = await tx.update(generatedTools)
+        .set({ status: 'disabled', updatedAt: new Date() })
+        .where(eq(generatedTools.id, id))
+        .returning();
+
+      // Disabling the active version hands the name to the highest remaining version
+      if (current.status === 'active') {
+        const [fallback] = await tx.select({ id: generatedTools.id }).from(generatedTools)
+          .where(and(eq(generatedTools.name, current.name), eq(generatedTools.status, 'inactive')))
+          .orderBy(desc(generatedTools.version))
+          .limit(1);
+        if (fallback) {
+          const [activated] = await tx.update(generatedTools)
+            .set({ status: 'active', updatedAt: new Date() })
+            .where(eq(generatedTools.id, fallback.id))
+            .returning();
+          return { ...tool, activatedVersion: activated.version };
+        }
+      }
+      return tool;
+    });
   }
 
   async logToolCreation(toolName, stage, status, details = {}, aiPromptUsed = null, aiResponse = null, duration = null, toolId = null) {
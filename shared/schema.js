@@ -1,4 +1,4 @@
-const { pgTable, text, serial, integer, boolean, timestamp, jsonb, uuid } = require("drizzle-orm/pg-core");
+const { pgTable, text, serial, integer, boolean, timestamp, jsonb, uuid, unique } = require("drizzle-orm/pg-core");
 const { relations, sql } = require("drizzle-orm");
 
 const apiKeys = pgTable("api_keys", {
@@ -55,23 +55,30 @@ const chatHistory = pgTable("chat_history", {
 
 const generatedTools = pgTable("generated_tools", {
   id: serial("id").primaryKey(),
-  name: text("name").notNull().unique(),
+  name: text("name").notNull(),
+  title: text("title"),
   description: text("description").notNull(),
   category: text("category").notNull().default('generated'),
   inputSchema: jsonb("input_schema").notNull(),
+  annotations: jsonb("annotations").default({}),
   handlerCode: text("handler_code").notNull(),
   sourceType: text("source_type").notNull(),
   sourceUrl: text("source_url"),
   sourceData: jsonb("source_data").default({}),
   version: integer("version").notNull().default(1),
   status: text("status").notNull().default('active'),
+  timeoutMs: integer("timeout_ms"),
+  maxConcurrency: integer("max_concurrency"),
+  cacheTtlMs: integer("cache_ttl_ms"),
   testResults: jsonb("test_results").default({}),
   securityScan: jsonb("security_scan").default({}),
   usageCount: integer("usage_count").notNull().default(0),
   lastUsedAt: timestamp("last_used_at"),
   createdAt: timestamp("created_at").defaultNow().notNull(),
   updatedAt: timestamp("updated_at").defaultNow().notNull(),
-});
+}, (table) => [
+  unique("generated_tools_name_version_unique").on(table.name, table.version),
+]);
 
 const toolCreationLogs = pgTable("tool_creation_logs", {
   id: serial("id").primaryKey(),
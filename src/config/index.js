@@ -80,6 +80,41 @@ const config = {
     sandboxTimeout: parseIntEnv(process.env.SANDBOX_TIMEOUT_MS, 5000, 1000, 30000),
   },
   
+  websocket: {
+    resumeGraceMs: parseIntEnv(process.env.WS_RESUME_GRACE_MS, 60000, 0, 3600000),
+    replayBufferSize: parseIntEnv(process.env.WS_REPLAY_BUFFER_SIZE, 200, 1, 100000),
+    replayBufferBytes: parseIntEnv(process.env.WS_REPLAY_BUFFER_BYTES, 1024 * 1024, 1024, 1024 * 1024 * 1024),
+  },
+  
+  gateway: {
+    configFile: process.env.GATEWAY_CONFIG_FILE,
+    requestTimeout: parseIntEnv(process.env.GATEWAY_REQUEST_TIMEOUT_MS, 60000, 1000, 600000),
+    maxReconnectDelay: parseIntEnv(process.env.GATEWAY_MAX_RECONNECT_DELAY_MS, 60000, 1000, 3600000),
+  },
+  
+  toolResults: {
+    maxInlineBytes: parseIntEnv(process.env.TOOL_RESULT_MAX_INLINE_BYTES, 1024 * 1024, 1024, 50 * 1024 * 1024),
+    maxItemBytes: parseIntEnv(process.env.TOOL_RESULT_MAX_ITEM_BYTES, 20 * 1024 * 1024, 1024, 500 * 1024 * 1024),
+    maxStoreBytes: parseIntEnv(process.env.TOOL_RESULT_STORE_MAX_BYTES, 200 * 1024 * 1024, 1024 * 1024, 4 * 1024 * 1024 * 1024),
+    storeTtl: parseIntEnv(process.env.TOOL_RESULT_STORE_TTL_MS, 3600000, 60000, 86400000),
+  },
+  
+  toolLimits: {
+    defaultTimeout: parseIntEnv(process.env.TOOL_DEFAULT_TIMEOUT_MS, 300000, 1000, 3600000),
+    defaultMaxConcurrency: parseIntEnv(process.env.TOOL_DEFAULT_MAX_CONCURRENCY, 50, 1, 10000),
+    maxQueueSize: parseIntEnv(process.env.TOOL_MAX_QUEUE_SIZE, 500, 0, 100000),
+  },
+  
+  toolCache: {
+    maxBytes: parseIntEnv(process.env.TOOL_CACHE_MAX_BYTES, 50 * 1024 * 1024, 1024, 4 * 1024 * 1024 * 1024),
+    maxEntryBytes: parseIntEnv(process.env.TOOL_CACHE_MAX_ENTRY_BYTES, 1024 * 1024, 1024, 100 * 1024 * 1024),
+    defaultMaxEntries: parseIntEnv(process.env.TOOL_CACHE_MAX_ENTRIES, 1000, 1, 1000000),
+  },
+  
+  toolPolicy: {
+    autoApproveReadOnly: process.env.TOOL_AUTO_APPROVE_READ_ONLY !== 'false',
+  },
+  
   logging: {
     level: process.env.LOG_LEVEL || (isDevelopment ? 'debug' : 'info'),
     includeTimestamp: true,
@@ -98,6 +133,12 @@ Object.freeze(config.ai.openai);
 Object.freeze(config.ai.anthropic);
 Object.freeze(config.ai.gemini);
 Object.freeze(config.evolution);
+Object.freeze(config.websocket);
+Object.freeze(config.gateway);
+Object.freeze(config.toolResults);
+Object.freeze(config.toolLimits);
+Object.freeze(config.toolCache);
+Object.freeze(config.toolPolicy);
 Object.freeze(config.logging);
 Object.freeze(config.database);
 
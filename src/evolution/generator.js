@@ -1,5 +1,7 @@
 const logger = require('../utils/logger');
 const { providerManager } = require('../providers');
+const { inferAnnotations } = require('../mcp/toolAnnotations');
+const { compileSchemaPatterns } = require('../utils/jsonSchema');
 
 class ToolGenerator {
   constructor() {
@@ -103,7 +105,8 @@ class ToolGenerator {
           { role: 'user', content: prompt }
         ], {
           provider: 'openai',
-          maxTokens: 4000
+          maxTokens: 4000,
+          signal: options.signal
         });
         
         const parsedTool = this.parseGeneratedTool(response.content, toolName);
@@ -120,6 +123,9 @@ class ToolGenerator {
         lastError = parsedTool.error;
         logger.warn('Failed to parse generated tool, retrying', { attempt, error: lastError });
       } catch (error) {
+        if (options.signal?.aborted) {
+          throw error;
+        }
         lastError = error.message;
         logger.warn('Tool generation attempt failed', { attempt, error: error.message });
       }
@@ -142,10 +148,14 @@ IMPORTANT RULES:
 5. Use only safe, built-in JavaScript features and fetch API for HTTP requests
 6. Include comprehensive input validation
 7. Return results in the MCP format: { content: [{ type: 'text', text: '...' }] }
+8. Describe the tool's behavior honestly in "annotations": readOnlyHint (does not modify anything),
+   destructiveHint (may delete or overwrite data), idempotentHint (repeated calls have no extra effect),
+   openWorldHint (talks to external services)
 
 OUTPUT FORMAT (must be valid JSON):
 {
   "name": "tool_name",
+  "title": "Human-readable Tool Name",
   "description": "Clear description of what the tool does",
   "category": "category_name",
   "inputSchema": {
@@ -155,6 +165,12 @@ OUTPUT FORMAT (must be valid JSON):
     },
     "required": ["param1"]
   },
+  "annotations": {
+    "readOnlyHint": true,
+    "destructiveHint": false,
+    "idempotentHint": true,
+    "openWorldHint": true
+  },
   "handlerCode": "async (args) => { /* implementation */ return { content: [{ type: 'text', text: JSON.stringify(result) }] }; }"
 }`;
   }
@@ -216,6 +232,15 @@ Generate the complete tool definition as JSON.`;
         };
       }
       
+      try {
+        compileSchemaPatterns(tool.inputSchema);
+      } catch (error) {
+        return {
+          success: false,
+          error: `Invalid inputSchema in generated tool: ${error.message}`
+        };
+      }
+      
       const securityCheck = this.validateHandlerSecurity(tool.handlerCode);
       if (!securityCheck.safe) {
         return {
@@ -228,9 +253,11 @@ Generate the complete tool definition as JSON.`;
         success: true,
         tool: {
           name: tool.name,
+          title: typeof tool.title === 'string' ? tool.title : undefined,
           description: tool.description,
           category: tool.category || 'generated',
           inputSchema: tool.inputSchema,
+          annotations: inferAnnotations(tool.handlerCode, tool.annotations),
           handlerCode: tool.handlerCode
         }
       };
@@ -12,6 +12,7 @@ const { ToolGenerator } = require('./generator');
 const { ToolSandbox } = require('./sandbox');
 
 const MAX_CONCURRENT_EVOLUTIONS = 5;
+const EVOLUTION_STAGE_COUNT = 4;
 
 /**
  * @class EvolutionOrchestrator
@@ -34,6 +35,8 @@ class EvolutionOrchestrator {
    * @param {string} options.description - Tool description for AI
    * @param {Array} options.examples - Example inputs/outputs
    * @param {string} options.category - Tool category
+   * @param {AbortSignal} options.signal - Stops the evolution between stages
+   * @param {Function} options.reportProgress - Called as each stage starts and when done
    * @returns {Promise<Object>} Evolution result
    */
   async evolve(toolName, options = {}) {
@@ -71,11 +74,16 @@ class EvolutionOrchestrator {
     
     this.activeEvolutions.set(sanitizedName, evolutionId);
     
+    const { signal, reportProgress = () => {}, ...evolutionOptions } = options;
+    
     try {
-      await this.logStage(toolName, 'started', 'in_progress', { evolutionId, options });
+      await this.logStage(toolName, 'started', 'in_progress', { evolutionId, options: evolutionOptions });
       
+      reportProgress(0, EVOLUTION_STAGE_COUNT, 'Discovering existing implementations');
       const discoveryResults = await this.runDiscovery(toolName, evolutionId, options);
+      signal?.throwIfAborted();
       
+      reportProgress(1, EVOLUTION_STAGE_COUNT, 'Generating tool code');
       const generationResult = await this.runGeneration(toolName, evolutionId, discoveryResults, options);
       
       if (!generationResult.success) {
@@ -90,7 +98,11 @@ class EvolutionOrchestrator {
         };
       }
       
+      signal?.throwIfAborted();
+      
+      reportProgress(2, EVOLUTION_STAGE_COUNT, 'Testing generated tool in sandbox');
       const testResults = await this.runTesting(toolName, evolutionId, generationResult.tool);
+      signal?.throwIfAborted();
       
       if (!testResults.passed) {
         await this.logStage(toolName, 'testing', 'failed', { testResults });
@@ -105,6 +117,7 @@ class EvolutionOrchestrator {
         };
       }
       
+      reportProgress(3, EVOLUTION_STAGE_COUNT, 'Registering tool');
       const registeredTool = await this.runRegistration(toolName, evolutionId, generationResult, testResults);
       
       await this.logStage(toolName, 'completed', 'success', { 
@@ -113,6 +126,7 @@ class EvolutionOrchestrator {
       });
       
       this.activeEvolutions.delete(toolName);
+      reportProgress(EVOLUTION_STAGE_COUNT, EVOLUTION_STAGE_COUNT, 'Tool created');
       
       logger.info('Evolution completed successfully', { 
         evolutionId, 
@@ -133,16 +147,22 @@ class EvolutionOrchestrator {
         duration: Date.now() - startTime
       };
     } catch (error) {
-      logger.error('Evolution failed', { evolutionId, toolName, error: error.message });
+      const cancelled = !!signal?.aborted;
+      
+      if (cancelled) {
+        logger.info('Evolution cancelled', { evolutionId, toolName, reason: error.message });
+      } else {
+        logger.error('Evolution failed', { evolutionId, toolName, error: error.message });
+      }
       
-      await this.logStage(toolName, 'error', 'failed', { error: error.message });
+      await this.logStage(toolName, cancelled ? 'cancelled' : 'error', 'failed', { error: error.message });
       
       this.activeEvolutions.delete(toolName);
       
       return {
         success: false,
         evolutionId,
-        stage: 'unknown',
+        stage: cancelled ? 'cancelled' : 'unknown',
         error: error.message,
         duration: Date.now() - startTime
       };
@@ -228,9 +248,11 @@ class EvolutionOrchestrator {
     
     const registeredTool = await storage.createGeneratedTool({
       name: tool.name,
+      title: tool.title,
       description: tool.description,
       category: tool.category,
       inputSchema: tool.inputSchema,
+      annotations: tool.annotations,
       handlerCode: tool.handlerCode,
       sourceType: bestSource ? bestSource.source : 'ai-generated',
       sourceUrl: bestSource?.url || null,
@@ -1,11 +1,17 @@
 const vm = require('vm');
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const { storage } = require('../../server/storage');
 const { ToolSandbox } = require('./sandbox');
+const { normalizeAnnotations } = require('../mcp/toolAnnotations');
+const { parseToolReference } = require('../mcp/toolVersions');
+const { compileSchemaPatterns } = require('../utils/jsonSchema');
 
-class DynamicToolRegistry {
+class DynamicToolRegistry extends EventEmitter {
   constructor() {
+    super();
     this.generatedTools = new Map();
+    this.versions = new Map();
     this.sandbox = new ToolSandbox();
     this.initialized = false;
   }
@@ -27,37 +33,56 @@ class DynamicToolRegistry {
   }
 
   async loadGeneratedTools() {
-    try {
-      const tools = await storage.getGeneratedTools('active');
-      
-      for (const tool of tools) {
-        try {
-          const handler = this.compileHandler(tool.handlerCode);
-          
-          this.generatedTools.set(tool.name, {
-            id: tool.id,
-            name: tool.name,
-            description: tool.description,
-            category: tool.category,
-            inputSchema: tool.inputSchema,
-            handler,
-            handlerCode: tool.handlerCode,
-            sourceType: tool.sourceType,
-            sourceUrl: tool.sourceUrl,
-            version: tool.version,
-            usageCount: tool.usageCount,
-            createdAt: tool.createdAt,
-            isGenerated: true
-          });
-          
-          logger.info('Loaded generated tool', { name: tool.name });
-        } catch (error) {
-          logger.warn('Failed to load generated tool', { name: tool.name, error: error.message });
+    const tools = await storage.getGeneratedTools(['active', 'inactive']);
+    const activeTools = new Map();
+    const versions = new Map();
+    
+    for (const tool of tools) {
+      try {
+        const toolDef = this.createToolDef(tool);
+        
+        if (!versions.has(tool.name)) {
+          versions.set(tool.name, new Map());
         }
+        versions.get(tool.name).set(toolDef.version, toolDef);
+        if (tool.status === 'active') {
+          activeTools.set(tool.name, toolDef);
+        }
+        
+        logger.info('Loaded generated tool', { name: tool.name, version: toolDef.version });
+      } catch (error) {
+        logger.warn('Failed to load generated tool', { name: tool.name, version: tool.version, error: error.message });
       }
-    } catch (error) {
-      logger.error('Failed to load generated tools from database', { error: error.message });
     }
+    
+    // Swap both maps at once so calls never see a half-loaded registry
+    this.generatedTools = activeTools;
+    this.versions = versions;
+  }
+
+  createToolDef(toolData) {
+    compileSchemaPatterns(toolData.inputSchema);
+    
+    return {
+      id: toolData.id,
+      name: toolData.name,
+      title: toolData.title || undefined,
+      description: toolData.description,
+      category: toolData.category,
+      inputSchema: toolData.inputSchema,
+      annotations: normalizeAnnotations(toolData.annotations),
+      handler: this.compileHandler(toolData.handlerCode),
+      handlerCode: toolData.handlerCode,
+      sourceType: toolData.sourceType,
+      sourceUrl: toolData.sourceUrl,
+      version: toolData.version || 1,
+      timeout: toolData.timeoutMs || undefined,
+      maxConcurrency: toolData.maxConcurrency || undefined,
+      cache: toolData.cacheTtlMs ? { ttl: toolData.cacheTtlMs } : undefined,
+      usageCount: toolData.usageCount || 0,
+      createdAt: toolData.createdAt || new Date(),
+      isGenerated: true
+    };
   }
 
   compileHandler(handlerCode) {
@@ -72,32 +97,31 @@ class DynamicToolRegistry {
       throw new Error('Handler is not a function');
     }
     
-    return async (args) => {
-      return await this.sandbox.execute(handlerCode, args);
+    return async (args, context = {}) => {
+      return await this.sandbox.execute(handlerCode, args, { signal: context.signal });
     };
   }
 
   async registerTool(toolData) {
+    if (toolData.status === 'disabled') {
+      logger.debug('Skipped disabled generated tool', { name: toolData.name, version: toolData.version });
+      return false;
+    }
+    
     try {
-      const handler = this.compileHandler(toolData.handlerCode);
+      const toolDef = this.createToolDef(toolData);
+      const isActive = !toolData.status || toolData.status === 'active';
       
-      this.generatedTools.set(toolData.name, {
-        id: toolData.id,
-        name: toolData.name,
-        description: toolData.description,
-        category: toolData.category,
-        inputSchema: toolData.inputSchema,
-        handler,
-        handlerCode: toolData.handlerCode,
-        sourceType: toolData.sourceType,
-        sourceUrl: toolData.sourceUrl,
-        version: toolData.version || 1,
-        usageCount: toolData.usageCount || 0,
-        createdAt: toolData.createdAt || new Date(),
-        isGenerated: true
-      });
+      if (!this.versions.has(toolDef.name)) {
+        this.versions.set(toolDef.name, new Map());
+      }
+      this.versions.get(toolDef.name).set(toolDef.version, toolDef);
+      if (isActive) {
+        this.generatedTools.set(toolDef.name, toolDef);
+      }
       
-      logger.info('Registered generated tool', { name: toolData.name });
+      logger.info('Registered generated tool', { name: toolDef.name, version: toolDef.version, active: isActive });
+      this.emit('listChanged');
       return true;
     } catch (error) {
       logger.error('Failed to register generated tool', { name: toolData.name, error: error.message });
@@ -105,38 +129,93 @@ class DynamicToolRegistry {
     }
   }
 
-  async unregisterTool(toolName) {
-    if (this.generatedTools.has(toolName)) {
+  async unregisterTool(toolName, version) {
+    const versions = this.versions.get(toolName);
+    if (!versions) {
+      return false;
+    }
+    
+    if (version !== undefined) {
+      if (!versions.delete(version)) {
+        return false;
+      }
+      if (this.generatedTools.get(toolName)?.version === version) {
+        // Fall back to the highest remaining version, as storage does
+        if (versions.size > 0) {
+          this.generatedTools.set(toolName, versions.get(Math.max(...versions.keys())));
+        } else {
+          this.generatedTools.delete(toolName);
+        }
+      }
+      if (versions.size === 0) {
+        this.versions.delete(toolName);
+      }
+    } else {
+      this.versions.delete(toolName);
       this.generatedTools.delete(toolName);
-      logger.info('Unregistered generated tool', { name: toolName });
-      return true;
     }
-    return false;
+    
+    logger.info('Unregistered generated tool', { name: toolName, version });
+    this.emit('listChanged');
+    return true;
   }
 
-  get(toolName) {
-    return this.generatedTools.get(toolName);
+  get(reference) {
+    const { name, version } = parseToolReference(reference);
+    if (version) {
+      return this.versions.get(name)?.get(version);
+    }
+    return this.generatedTools.get(name);
   }
 
-  has(toolName) {
-    return this.generatedTools.has(toolName);
+  has(reference) {
+    return !!this.get(reference);
+  }
+
+  listVersions(toolName) {
+    const active = this.generatedTools.get(toolName);
+    return Array.from(this.versions.get(toolName)?.values() || [])
+      .sort((a, b) => b.version - a.version)
+      .map(tool => ({
+        version: tool.version,
+        active: tool === active,
+        title: tool.title,
+        description: tool.description,
+        createdAt: tool.createdAt
+      }));
+  }
+
+  async activateVersion(toolName, version) {
+    const tool = await storage.activateGeneratedToolVersion(toolName, version);
+    if (!tool) {
+      return null;
+    }
+    
+    await this.registerTool(tool);
+    logger.info('Activated generated tool version', { name: toolName, version });
+    return this.generatedTools.get(toolName);
   }
 
   list() {
     return Array.from(this.generatedTools.values()).map(tool => ({
       name: tool.name,
+      title: tool.title,
       description: tool.description,
       category: tool.category,
       inputSchema: tool.inputSchema,
+      annotations: tool.annotations,
       isGenerated: true,
       sourceType: tool.sourceType,
       usageCount: tool.usageCount,
-      version: tool.version
+      version: tool.version,
+      versions: Array.from(this.versions.get(tool.name)?.keys() || []).sort((a, b) => a - b),
+      timeout: tool.timeout,
+      maxConcurrency: tool.maxConcurrency
     }));
   }
 
-  async execute(toolName, args) {
-    const tool = this.generatedTools.get(toolName);
+  async execute(toolName, args, context = {}) {
+    const tool = this.get(toolName);
     
     if (!tool) {
       throw new Error(`Generated tool not found: ${toolName}`);
@@ -147,7 +226,7 @@ class DynamicToolRegistry {
         logger.warn('Failed to increment tool usage', { name: toolName, error: err.message });
       });
       
-      const result = await tool.handler(args);
+      const result = await tool.handler(args, context);
       
       logger.info('Generated tool executed', { name: toolName });
       
@@ -159,15 +238,17 @@ class DynamicToolRegistry {
   }
 
   async reload() {
-    this.generatedTools.clear();
-    this.initialized = false;
-    await this.initialize();
+    await this.loadGeneratedTools();
+    this.initialized = true;
+    logger.info('Generated tools reloaded', { toolCount: this.generatedTools.size });
+    this.emit('listChanged');
   }
 
   getStats() {
     const tools = Array.from(this.generatedTools.values());
     return {
       total: tools.length,
+      versions: Array.from(this.versions.values()).reduce((sum, versions) => sum + versions.size, 0),
       byCategory: tools.reduce((acc, tool) => {
         acc[tool.category] = (acc[tool.category] || 0) + 1;
         return acc;
@@ -394,23 +394,34 @@ class ToolSandbox {
       throw new Error('Handler is not a function');
     }
     
+    const { signal } = options;
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    
     let timeoutId;
+    let onAbort;
     const timeoutPromise = new Promise((_, reject) => {
       timeoutId = setTimeout(() => {
         reject(new Error('Execution timeout - code took too long to execute'));
       }, timeout);
+      
+      if (signal) {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
     });
     
     try {
-      const result = await Promise.race([
+      return await Promise.race([
         Promise.resolve().then(() => handler(args)),
         timeoutPromise
       ]);
+    } finally {
       clearTimeout(timeoutId);
-      return result;
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error;
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
   }
 }
@@ -0,0 +1,262 @@
+/**
+ * Upstream MCP Client
+ * JSON-RPC client session with an upstream MCP server over any gateway transport
+ */
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION } = require('../mcp/protocol');
+
+const CLIENT_INFO = {
+  name: 'SPURS MCP Gateway',
+  version: '1.0.0',
+};
+
+/**
+ * Largest number of pages read when listing upstream tools, prompts or resources
+ */
+const MAX_LIST_PAGES = 50;
+
+/**
+ * Map an upstream JSON-RPC error code to the HTTP status used for the error here
+ * @param {number} code - JSON-RPC error code
+ * @returns {number}
+ */
+function mapRpcErrorToHttpStatus(code) {
+  if (code === -32602) return 400;
+  if (code === -32601) return 404;
+  if (code === -32001) return 429;
+  return 502;
+}
+
+/**
+ * @class McpClient
+ * Emits 'notification' for upstream notifications and 'close' when the connection ends
+ */
+class McpClient extends EventEmitter {
+  /**
+   * @param {Object} transport - Started by connect(); see transports.js
+   * @param {Object} options - Client options
+   * @param {string} options.name - Upstream name (for errors and logging)
+   * @param {number} options.timeout - Milliseconds to wait for each response
+   */
+  constructor(transport, { name, timeout }) {
+    super();
+    this.transport = transport;
+    this.name = name;
+    this.timeout = timeout;
+    this.connected = false;
+    this.serverInfo = null;
+    this.serverCapabilities = {};
+    this.protocolVersion = null;
+    this._pendingRequests = new Map();
+    this._progressHandlers = new Map();
+    this._nextRequestId = 1;
+  }
+
+  /**
+   * Start the transport and run the initialize handshake
+   * @returns {Promise<Object>} The upstream initialize result
+   * @throws {Error} If the server cannot be reached or speaks no supported protocol version
+   */
+  async connect() {
+    await this.transport.start({
+      onMessage: (message) => this._handleMessage(message),
+      onClose: (info) => this._handleClose(info),
+    });
+    this.connected = true;
+
+    const result = await this.request('initialize', {
+      protocolVersion: LATEST_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result?.protocolVersion)) {
+      await this.close();
+      throw new Error(`Upstream server ${this.name} uses unsupported protocol version ${result?.protocolVersion}`);
+    }
+
+    this.protocolVersion = result.protocolVersion;
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    this.transport.protocolVersion = result.protocolVersion;
+
+    await this.notify('notifications/initialized');
+    return result;
+  }
+
+  /**
+   * Send a request to the upstream server and wait for its response
+   * @param {string} method - Request method
+   * @param {Object} [params] - Request parameters
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request (notifies the upstream server)
+   * @param {Function} [options.onProgress] - Receives upstream progress as (progress, total, message)
+   * @returns {Promise<*>} The response result
+   * @throws {Error} The upstream JSON-RPC error (with code and data), or statusCode 503/504
+   *   when the server cannot be reached or does not answer in time
+   */
+  request(method, params, { signal, onProgress } = {}) {
+    const id = this._nextRequestId++;
+    const message = { jsonrpc: '2.0', id, method, params };
+
+    if (onProgress) {
+      message.params = { ...params, _meta: { ...params?._meta, progressToken: id } };
+      this._progressHandlers.set(id, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        this._progressHandlers.delete(id);
+        return reject(signal.reason);
+      }
+
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this._pendingRequests.delete(id);
+        this._progressHandlers.delete(id);
+        callback(value);
+      };
+
+      const abandon = (error, reason) => {
+        this.notify('notifications/cancelled', { requestId: id, reason }).catch(() => {});
+        settle(reject, error);
+      };
+
+      const onAbort = () => abandon(signal.reason, 'Request cancelled');
+
+      const timer = setTimeout(() => {
+        const error = new Error(`Upstream server ${this.name} did not respond to ${method} within ${this.timeout}ms`);
+        error.statusCode = 504;
+        abandon(error, 'Request timed out');
+      }, this.timeout);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this._pendingRequests.set(id, {
+        method,
+        resolve: (result) => settle(resolve, result),
+        reject: (error) => settle(reject, error),
+      });
+
+      this.transport.send(message).catch((error) => {
+        if (this._pendingRequests.has(id)) {
+          settle(reject, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a notification to the upstream server
+   * @param {string} method - Notification method
+   * @param {Object} [params] - Notification parameters
+   * @returns {Promise<void>}
+   */
+  async notify(method, params) {
+    await this.transport.send({ jsonrpc: '2.0', method, ...(params && { params }) });
+  }
+
+  /**
+   * Read every page of an upstream list method
+   * @param {string} method - List method, e.g. tools/list
+   * @param {string} field - Result field holding the items, e.g. tools
+   * @returns {Promise<Array>}
+   */
+  async listAll(method, field) {
+    const items = [];
+    let cursor;
+
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+      const result = await this.request(method, cursor ? { cursor } : {});
+      items.push(...(result?.[field] || []));
+      cursor = result?.nextCursor;
+      if (!cursor) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Close the connection; pending requests fail with statusCode 503
+   */
+  async close() {
+    await this.transport.close();
+    this._handleClose({ reason: 'Closed' });
+  }
+
+  /**
+   * Route a message from the upstream server
+   * @param {Object} message - JSON-RPC message
+   */
+  _handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (typeof message.method !== 'string') {
+      const pending = this._pendingRequests.get(message.id);
+      if (!pending) {
+        logger.debug('Ignoring upstream response to unknown request', { upstream: this.name, id: message.id });
+        return;
+      }
+      if (message.error) {
+        const error = new Error(message.error.message || `${pending.method} failed`);
+        error.code = message.error.code;
+        error.data = message.error.data;
+        error.statusCode = mapRpcErrorToHttpStatus(message.error.code);
+        pending.reject(error);
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.id !== undefined) {
+      this._answerServerRequest(message);
+      return;
+    }
+
+    if (message.method === 'notifications/progress') {
+      const { progressToken, progress, total, message: text } = message.params || {};
+      this._progressHandlers.get(progressToken)?.(progress, total, text);
+      return;
+    }
+
+    this.emit('notification', message);
+  }
+
+  /**
+   * Answer a request from the upstream server. The gateway declares no client
+   * capabilities, so only ping is supported.
+   * @param {Object} message - JSON-RPC request
+   */
+  _answerServerRequest(message) {
+    const response = message.method === 'ping'
+      ? { jsonrpc: '2.0', id: message.id, result: {} }
+      : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+    this.transport.send(response).catch((error) => {
+      logger.debug('Failed to answer upstream request', { upstream: this.name, method: message.method, error: error.message });
+    });
+  }
+
+  /**
+   * Fail pending requests and emit 'close' (once)
+   * @param {Object} info - Close details from the transport
+   */
+  _handleClose(info) {
+    if (!this.connected) return;
+    this.connected = false;
+
+    for (const pending of this._pendingRequests.values()) {
+      const error = new Error(`Upstream server ${this.name} disconnected during ${pending.method}`);
+      error.statusCode = 503;
+      pending.reject(error);
+    }
+    this._pendingRequests.clear();
+    this._progressHandlers.clear();
+
+    this.emit('close', info);
+  }
+}
+
+module.exports = { McpClient, CLIENT_INFO };
@@ -0,0 +1,397 @@
+/**
+ * Upstream Transports
+ * Client side of the MCP transports used to reach upstream servers:
+ * stdio (child process), WebSocket and Streamable HTTP
+ */
+const { spawn } = require('child_process');
+const readline = require('readline');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+/**
+ * Create the error for a message that could not reach the upstream server
+ * @param {string} message - Problem description
+ * @returns {Error}
+ */
+function transportError(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * @class StdioTransport
+ * Runs the upstream server as a child process and exchanges
+ * newline-delimited JSON-RPC messages over its stdin/stdout
+ */
+class StdioTransport {
+  /**
+   * @param {Object} options - Process options
+   * @param {string} options.name - Upstream name (for logging)
+   * @param {string} options.command - Executable
+   * @param {string[]} [options.args] - Arguments
+   * @param {Object} [options.env] - Extra environment variables
+   * @param {string} [options.cwd] - Working directory
+   */
+  constructor({ name, command, args = [], env = {}, cwd }) {
+    this.name = name;
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.child = null;
+  }
+
+  /**
+   * Start the child process
+   * @param {Object} handlers - Transport callbacks
+   * @param {Function} handlers.onMessage - Called with each JSON-RPC message received
+   * @param {Function} handlers.onClose - Called once when the process exits
+   * @returns {Promise<void>} Resolves when the process has started
+   */
+  start({ onMessage, onClose }) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, this.args, {
+        cwd: this.cwd,
+        env: { ...process.env, ...this.env },
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      this.child = child;
+
+      readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        if (!line.trim()) return;
+        try {
+          onMessage(JSON.parse(line));
+        } catch (error) {
+          logger.debug('Ignoring non-JSON output from upstream server', { upstream: this.name, line });
+        }
+      });
+
+      readline.createInterface({ input: child.stderr }).on('line', (line) => {
+        logger.debug('Upstream server stderr', { upstream: this.name, line });
+      });
+
+      let spawned = false;
+      child.once('spawn', () => {
+        spawned = true;
+        resolve();
+      });
+      child.on('error', (error) => {
+        if (!spawned) return reject(error);
+        logger.error('Upstream server process error', { upstream: this.name, error: error.message });
+      });
+      // A child that closed its stdin cannot take requests any more; stopping it
+      // runs the close handling, which fails the pending requests
+      child.stdin.on('error', (error) => {
+        logger.error('Upstream server stdin error', { upstream: this.name, error: error.message });
+        child.kill();
+      });
+      child.once('exit', (code, signal) => {
+        this.child = null;
+        onClose({ code, signal });
+      });
+    });
+  }
+
+  /**
+   * Send a message to the child process
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    if (!this.child || !this.child.stdin.writable) {
+      throw transportError(`Upstream server ${this.name} is not running`);
+    }
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Stop the child process
+   */
+  async close() {
+    if (this.child) {
+      this.child.stdin.end();
+      this.child.kill();
+    }
+  }
+}
+
+/**
+ * @class WebSocketTransport
+ * Exchanges JSON-RPC messages with the upstream server over a WebSocket
+ */
+class WebSocketTransport {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.name - Upstream name (for logging)
+   * @param {string} options.url - ws:// or wss:// URL
+   * @param {Object} [options.headers] - Headers sent with the upgrade request (e.g. X-API-Key)
+   */
+  constructor({ name, url, headers = {} }) {
+    this.name = name;
+    this.url = url;
+    this.headers = headers;
+    this.ws = null;
+  }
+
+  /**
+   * Open the WebSocket
+   * @param {Object} handlers - Transport callbacks
+   * @param {Function} handlers.onMessage - Called with each JSON-RPC message received
+   * @param {Function} handlers.onClose - Called once when the connection closes
+   * @returns {Promise<void>} Resolves when the connection is open
+   */
+  start({ onMessage, onClose }) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url, { headers: this.headers });
+      this.ws = ws;
+
+      ws.on('message', (data) => {
+        try {
+          onMessage(JSON.parse(data.toString()));
+        } catch (error) {
+          logger.debug('Ignoring malformed message from upstream server', { upstream: this.name });
+        }
+      });
+
+      let opened = false;
+      ws.once('open', () => {
+        opened = true;
+        resolve();
+      });
+      ws.on('error', (error) => {
+        if (!opened) return reject(error);
+        logger.error('Upstream WebSocket error', { upstream: this.name, error: error.message });
+      });
+      ws.once('close', (code) => {
+        this.ws = null;
+        onClose({ code });
+      });
+    });
+  }
+
+  /**
+   * Send a message over the WebSocket
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw transportError(`Upstream server ${this.name} is not connected`);
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Close the WebSocket
+   */
+  async close() {
+    this.ws?.close();
+  }
+}
+
+/**
+ * @class StreamableHttpTransport
+ * POSTs JSON-RPC messages to an upstream Streamable HTTP endpoint and reads
+ * the replies from JSON or SSE responses. Server-initiated messages only
+ * arrive while a request is in flight (no standalone GET stream).
+ */
+class StreamableHttpTransport {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.name - Upstream name (for logging)
+   * @param {string} options.url - http:// or https:// MCP endpoint
+   * @param {Object} [options.headers] - Extra request headers (e.g. Authorization)
+   */
+  constructor({ name, url, headers = {} }) {
+    this.name = name;
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.onMessage = null;
+    this.onClose = null;
+    this.controller = null;
+  }
+
+  /**
+   * Prepare the transport (HTTP needs no connection until the first message)
+   * @param {Object} handlers - Transport callbacks
+   * @param {Function} handlers.onMessage - Called with each JSON-RPC message received
+   * @param {Function} handlers.onClose - Called once when the upstream session ends
+   * @returns {Promise<void>}
+   */
+  async start({ onMessage, onClose }) {
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Build the headers of a request to the endpoint
+   * @returns {Object}
+   */
+  requestHeaders() {
+    return {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId }),
+      ...(this.protocolVersion && { 'MCP-Protocol-Version': this.protocolVersion }),
+    };
+  }
+
+  /**
+   * POST a message and deliver the messages of the response
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>} Resolves once the whole response has been read
+   * @throws {Error} With statusCode 503 if the request fails
+   */
+  async send(message) {
+    if (!this.controller) {
+      throw transportError(`Upstream server ${this.name} is not connected`);
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: this.requestHeaders(),
+        body: JSON.stringify(message),
+        signal: this.controller.signal,
+      });
+    } catch (error) {
+      throw transportError(`Cannot reach upstream server ${this.name}: ${error.message}`);
+    }
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (response.status === 404 && this.sessionId) {
+      this.end({ reason: 'Upstream session expired' });
+      throw transportError(`Upstream server ${this.name} ended the session`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw transportError(`Upstream server ${this.name} returned HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      await this.readEventStream(response.body);
+    } else if (contentType.includes('application/json')) {
+      const data = await response.json();
+      for (const item of Array.isArray(data) ? data : [data]) {
+        this.onMessage(item);
+      }
+    }
+  }
+
+  /**
+   * Deliver the JSON-RPC messages of an SSE response body
+   * @param {ReadableStream} body - Response body
+   */
+  async readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const event = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (!data) continue;
+
+        try {
+          this.onMessage(JSON.parse(data));
+        } catch (error) {
+          logger.debug('Ignoring malformed event from upstream server', { upstream: this.name });
+        }
+      }
+    }
+  }
+
+  /**
+   * Mark the transport closed and notify the client
+   * @param {Object} info - Close details
+   */
+  end(info) {
+    if (!this.controller) return;
+    this.controller.abort();
+    this.controller = null;
+    this.sessionId = null;
+    this.onClose(info);
+  }
+
+  /**
+   * End the upstream session
+   */
+  async close() {
+    if (this.sessionId) {
+      await fetch(this.url, {
+        method: 'DELETE',
+        headers: this.requestHeaders(),
+        signal: AbortSignal.timeout(5000),
+      }).catch(() => {});
+    }
+    this.end({ reason: 'Closed' });
+  }
+}
+
+/**
+ * Get the transport type of an upstream server definition: the declared
+ * transport, else stdio when it has a command, websocket for ws:// and wss://
+ * URLs, and http otherwise
+ * @param {Object} server - Upstream server definition
+ * @returns {string} stdio, websocket or http
+ */
+function getTransportType(server) {
+  if (server.transport) return server.transport;
+  if (server.command) return 'stdio';
+  return /^wss?:\/\//.test(server.url || '') ? 'websocket' : 'http';
+}
+
+/**
+ * Create the transport for an upstream server definition
+ * @param {Object} server - Upstream server definition
+ * @returns {StdioTransport|WebSocketTransport|StreamableHttpTransport}
+ * @throws {Error} If the definition lacks the command or URL its transport needs
+ */
+function createTransport(server) {
+  const type = getTransportType(server);
+
+  switch (type) {
+    case 'stdio':
+      if (!server.command) {
+        throw new Error(`Upstream server ${server.name}: stdio transport requires a command`);
+      }
+      return new StdioTransport(server);
+    case 'websocket':
+    case 'http':
+      if (!server.url) {
+        throw new Error(`Upstream server ${server.name}: ${type} transport requires a url`);
+      }
+      return type === 'websocket' ? new WebSocketTransport(server) : new StreamableHttpTransport(server);
+    default:
+      throw new Error(`Upstream server ${server.name}: unknown transport ${type}`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  getTransportType,
+  StdioTransport,
+  WebSocketTransport,
+  StreamableHttpTransport,
+};
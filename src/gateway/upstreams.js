@@ -0,0 +1,579 @@
+/**
+ * MCP Gateway
+ * Connects to upstream MCP servers, imports their tools, prompts and resources
+ * into the registries under a namespace, and proxies calls to them with this
+ * server's API-key scopes, rate limits and audit logging
+ */
+const fs = require('fs');
+const EventEmitter = require('events');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { storage } = require('../../server/storage');
+const { registry } = require('../mcp/toolRegistry');
+const { promptRegistry } = require('../mcp/promptRegistry');
+const { resourceRegistry } = require('../mcp/resourceRegistry');
+const { KeyRateLimiter } = require('../utils/rateLimiter');
+const { McpClient } = require('./client');
+const { createTransport, getTransportType } = require('./transports');
+
+/**
+ * Separates the namespace from the upstream name of imported tools and prompts
+ */
+const NAMESPACE_SEPARATOR = '__';
+
+/**
+ * Imported resource URIs are the upstream URI behind mcp://upstream/{namespace}/
+ */
+const UPSTREAM_URI_PREFIX = 'mcp://upstream/';
+
+// Letters and digits, optionally joined by single hyphens or underscores (never the separator)
+const NAMESPACE_PATTERN = /^[A-Za-z0-9]+(?:[-_][A-Za-z0-9]+)*$/;
+
+const INITIAL_RECONNECT_DELAY = 1000;
+
+/**
+ * Read upstream server definitions from a gateway config file.
+ * The file holds { "servers": { name: definition } }; the "mcpServers" key
+ * used by desktop MCP hosts is accepted too.
+ * @param {string} file - Path of the JSON config file
+ * @returns {Array<Object>} Normalized definitions
+ * @throws {Error} If the file cannot be read or a definition is invalid
+ */
+function loadUpstreamDefinitions(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const servers = parsed.servers || parsed.mcpServers || {};
+
+  return Object.entries(servers).map(([name, definition]) => {
+    const namespace = definition.namespace || name;
+    if (!NAMESPACE_PATTERN.test(namespace)) {
+      throw new Error(`Upstream server ${name}: invalid namespace "${namespace}" (use letters, digits and single - or _)`);
+    }
+
+    return {
+      ...definition,
+      name,
+      namespace,
+      enabled: definition.enabled !== false,
+      trustAnnotations: definition.trustAnnotations === true,
+      timeout: definition.timeout || config.gateway.requestTimeout,
+    };
+  });
+}
+
+/**
+ * Drop the read-only hint of an untrusted upstream tool, so the read-only
+ * auto-approval policy cannot be claimed by a server this one does not control
+ * @param {Object} [annotations] - Upstream annotations
+ * @returns {Object|undefined}
+ */
+function untrustedAnnotations(annotations) {
+  if (!annotations || typeof annotations !== 'object') {
+    return annotations;
+  }
+  const { readOnlyHint, ...rest } = annotations;
+  return rest;
+}
+
+/**
+ * @class UpstreamManager
+ * Owns the upstream connections and the registry entries imported from them
+ */
+class UpstreamManager extends EventEmitter {
+  constructor() {
+    super();
+    this.upstreams = new Map();
+    this.rateLimiter = new KeyRateLimiter({ windowMs: config.rateLimit.windowMs });
+    this.stopping = false;
+  }
+
+  /**
+   * Connect to the upstream servers of GATEWAY_CONFIG_FILE (does nothing without one).
+   * Servers that cannot be reached are retried in the background.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!config.gateway.configFile) {
+      return;
+    }
+
+    let definitions;
+    try {
+      definitions = loadUpstreamDefinitions(config.gateway.configFile);
+    } catch (error) {
+      logger.error('Failed to load gateway config', { file: config.gateway.configFile, error: error.message });
+      return;
+    }
+
+    this.stopping = false;
+    for (const definition of definitions) {
+      this.upstreams.set(definition.name, {
+        definition,
+        client: null,
+        status: definition.enabled ? 'connecting' : 'disabled',
+        lastError: null,
+        connectedAt: null,
+        reconnectTimer: null,
+        attempts: 0,
+        imported: { tools: [], prompts: [], resources: [], templates: [] },
+      });
+    }
+
+    await Promise.all(
+      Array.from(this.upstreams.values())
+        .filter(upstream => upstream.definition.enabled)
+        .map(upstream => this.connect(upstream))
+    );
+
+    logger.info('MCP gateway started', { upstreams: this.upstreams.size });
+  }
+
+  /**
+   * Connect to an upstream server and import what it offers
+   * @param {Object} upstream - Upstream state
+   * @returns {Promise<void>} Resolves even if the connection fails (a retry is scheduled)
+   */
+  async connect(upstream) {
+    const { definition } = upstream;
+    upstream.status = 'connecting';
+
+    let client;
+    try {
+      client = new McpClient(createTransport(definition), {
+        name: definition.name,
+        timeout: definition.timeout,
+      });
+      client.on('notification', (message) => this.handleNotification(upstream, message));
+      client.on('close', () => this.handleDisconnect(upstream, client));
+
+      await client.connect();
+      upstream.client = client;
+      upstream.status = 'connected';
+      upstream.connectedAt = new Date().toISOString();
+      upstream.lastError = null;
+      upstream.attempts = 0;
+
+      await this.importAll(upstream);
+      logger.info('Upstream server connected', {
+        upstream: definition.name,
+        server: client.serverInfo?.name,
+        protocolVersion: client.protocolVersion,
+        tools: upstream.imported.tools.length,
+        prompts: upstream.imported.prompts.length,
+        resources: upstream.imported.resources.length + upstream.imported.templates.length,
+      });
+    } catch (error) {
+      logger.warn('Upstream server connection failed', { upstream: definition.name, error: error.message });
+      upstream.lastError = error.message;
+      if (upstream.client === client) {
+        upstream.client = null;
+        this.removeImports(upstream);
+      }
+      upstream.status = 'disconnected';
+      await client?.close().catch(() => {});
+      this.scheduleReconnect(upstream);
+    }
+  }
+
+  /**
+   * Handle the loss of an upstream connection
+   * @param {Object} upstream - Upstream state
+   * @param {McpClient} client - Client whose connection closed
+   */
+  handleDisconnect(upstream, client) {
+    if (upstream.client !== client) {
+      return;
+    }
+
+    upstream.client = null;
+    upstream.status = 'disconnected';
+    this.removeImports(upstream);
+    logger.warn('Upstream server disconnected', { upstream: upstream.definition.name });
+    this.scheduleReconnect(upstream);
+  }
+
+  /**
+   * Retry the connection with exponential backoff (up to GATEWAY_MAX_RECONNECT_DELAY_MS)
+   * @param {Object} upstream - Upstream state
+   */
+  scheduleReconnect(upstream) {
+    if (this.stopping || !upstream.definition.enabled || upstream.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(INITIAL_RECONNECT_DELAY * 2 ** upstream.attempts, config.gateway.maxReconnectDelay);
+    upstream.attempts++;
+    upstream.reconnectTimer = setTimeout(() => {
+      upstream.reconnectTimer = null;
+      this.connect(upstream);
+    }, delay);
+    upstream.reconnectTimer.unref();
+  }
+
+  /**
+   * Drop an upstream connection and connect again now
+   * @param {string} name - Upstream name
+   * @returns {Promise<Object|null>} Upstream status, or null if there is no such upstream
+   */
+  async reconnect(name) {
+    const upstream = this.upstreams.get(name);
+    if (!upstream) {
+      return null;
+    }
+
+    clearTimeout(upstream.reconnectTimer);
+    upstream.reconnectTimer = null;
+    upstream.attempts = 0;
+
+    const client = upstream.client;
+    upstream.client = null;
+    this.removeImports(upstream);
+    await client?.close().catch(() => {});
+
+    await this.connect(upstream);
+    return this.describe(upstream);
+  }
+
+  /**
+   * Close every upstream connection and stop retrying
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopping = true;
+    await Promise.all(Array.from(this.upstreams.values()).map(async (upstream) => {
+      clearTimeout(upstream.reconnectTimer);
+      upstream.reconnectTimer = null;
+      const client = upstream.client;
+      upstream.client = null;
+      this.removeImports(upstream);
+      await client?.close().catch(() => {});
+    }));
+  }
+
+  /**
+   * Import everything the upstream server declares capabilities for
+   * @param {Object} upstream - Upstream state
+   * @returns {Promise<void>}
+   */
+  async importAll(upstream) {
+    const capabilities = upstream.client.serverCapabilities;
+
+    if (capabilities.tools) await this.importTools(upstream);
+    if (capabilities.prompts) await this.importPrompts(upstream);
+    if (capabilities.resources) await this.importResources(upstream);
+  }
+
+  /**
+   * Replace the imported tools of an upstream server with its current list
+   * @param {Object} upstream - Upstream state
+   * @returns {Promise<void>}
+   */
+  async importTools(upstream) {
+    const { namespace, trustAnnotations } = upstream.definition;
+    const tools = await upstream.client.listAll('tools/list', 'tools');
+
+    upstream.imported.tools.forEach(name => registry.unregister(name));
+    upstream.imported.tools = [];
+
+    for (const tool of tools) {
+      const name = `${namespace}${NAMESPACE_SEPARATOR}${tool.name}`;
+      if (registry.has(name)) {
+        logger.warn('Skipping upstream tool: name already registered', { upstream: upstream.definition.name, name });
+        continue;
+      }
+
+      try {
+        registry.register({
+          name,
+          title: tool.title || tool.annotations?.title,
+          description: tool.description,
+          inputSchema: tool.inputSchema,
+          outputSchema: tool.outputSchema,
+          annotations: trustAnnotations ? tool.annotations : untrustedAnnotations(tool.annotations),
+          category: 'upstream',
+          upstream: upstream.definition.name,
+          handler: (args, context) => this.callUpstream(upstream, 'tools/call', { name: tool.name, arguments: args }, context),
+        });
+        upstream.imported.tools.push(name);
+      } catch (error) {
+        logger.warn('Skipping invalid upstream tool', { upstream: upstream.definition.name, name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Replace the imported prompts of an upstream server with its current list
+   * @param {Object} upstream - Upstream state
+   * @returns {Promise<void>}
+   */
+  async importPrompts(upstream) {
+    const { namespace } = upstream.definition;
+    const prompts = await upstream.client.listAll('prompts/list', 'prompts');
+
+    upstream.imported.prompts.forEach(name => promptRegistry.unregister(name));
+    upstream.imported.prompts = [];
+
+    for (const prompt of prompts) {
+      const name = `${namespace}${NAMESPACE_SEPARATOR}${prompt.name}`;
+      if (promptRegistry.has(name)) {
+        logger.warn('Skipping upstream prompt: name already registered', { upstream: upstream.definition.name, name });
+        continue;
+      }
+
+      try {
+        promptRegistry.register({
+          name,
+          description: prompt.description,
+          arguments: (prompt.arguments || []).map(arg => ({
+            name: arg.name,
+            description: arg.description,
+            required: arg.required === true,
+          })),
+          handler: (args, context) => this.callUpstream(upstream, 'prompts/get', { name: prompt.name, arguments: args }, context),
+        });
+        upstream.imported.prompts.push(name);
+      } catch (error) {
+        logger.warn('Skipping invalid upstream prompt', { upstream: upstream.definition.name, name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Replace the imported resources and resource templates of an upstream server
+   * @param {Object} upstream - Upstream state
+   * @returns {Promise<void>}
+   */
+  async importResources(upstream) {
+    const prefix = `${UPSTREAM_URI_PREFIX}${upstream.definition.namespace}/`;
+    const resources = await upstream.client.listAll('resources/list', 'resources');
+    const templates = await upstream.client.listAll('resources/templates/list', 'resourceTemplates')
+      .catch((error) => {
+        logger.debug('Upstream server lists no resource templates', { upstream: upstream.definition.name, error: error.message });
+        return [];
+      });
+
+    upstream.imported.resources.forEach(uri => resourceRegistry.unregister(uri));
+    upstream.imported.templates.forEach(uriTemplate => resourceRegistry.unregisterTemplate(uriTemplate));
+    upstream.imported.resources = [];
+    upstream.imported.templates = [];
+
+    const read = (context) => this.readUpstreamResource(upstream, prefix, context);
+
+    for (const resource of resources) {
+      try {
+        resourceRegistry.register({
+          uri: `${prefix}${resource.uri}`,
+          name: resource.name,
+          description: resource.description,
+          mimeType: resource.mimeType,
+          handler: read,
+        });
+        upstream.imported.resources.push(`${prefix}${resource.uri}`);
+      } catch (error) {
+        logger.warn('Skipping invalid upstream resource', { upstream: upstream.definition.name, uri: resource.uri, error: error.message });
+      }
+    }
+
+    for (const template of templates) {
+      try {
+        resourceRegistry.registerTemplate({
+          uriTemplate: `${prefix}${template.uriTemplate}`,
+          name: template.name,
+          description: template.description,
+          mimeType: template.mimeType,
+          handler: read,
+        });
+        upstream.imported.templates.push(`${prefix}${template.uriTemplate}`);
+      } catch (error) {
+        logger.warn('Skipping invalid upstream resource template', {
+          upstream: upstream.definition.name,
+          uriTemplate: template.uriTemplate,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Read an imported resource from its upstream server
+   * @param {Object} upstream - Upstream state
+   * @param {string} prefix - URI prefix of the upstream's resources
+   * @param {Object} context - Resource read context (with the requested uri)
+   * @returns {Promise<Object>} Resource content with URIs in this server's namespace
+   */
+  async readUpstreamResource(upstream, prefix, context) {
+    const result = await this.callUpstream(upstream, 'resources/read', { uri: context.uri.slice(prefix.length) }, context);
+    return {
+      uri: context.uri,
+      contents: (result?.contents || []).map(content => ({ ...content, uri: `${prefix}${content.uri}` })),
+    };
+  }
+
+  /**
+   * Forward a request to an upstream server on behalf of a caller.
+   * The call counts against the caller's API-key rate limit and is audit-logged.
+   * @param {Object} upstream - Upstream state
+   * @param {string} method - Upstream method (tools/call, prompts/get or resources/read)
+   * @param {Object} params - Upstream parameters
+   * @param {Object} [context] - Caller context (user, signal, reportProgress)
+   * @returns {Promise<Object>} Upstream result
+   * @throws {Error} With statusCode 429 when the caller is over its rate limit, 503 when
+   *   the upstream server is not connected, or the upstream error
+   */
+  async callUpstream(upstream, method, params, context = {}) {
+    const client = upstream.client;
+    if (!client) {
+      const error = new Error(`Upstream server ${upstream.definition.name} is not connected`);
+      error.statusCode = 503;
+      throw error;
+    }
+
+    this.checkRateLimit(context.user);
+
+    const startTime = Date.now();
+    try {
+      const result = await client.request(method, params, {
+        signal: context.signal,
+        onProgress: method === 'tools/call' ? context.reportProgress : undefined,
+      });
+      this.audit(upstream, method, params, context.user, {
+        success: !result?.isError,
+        duration: Date.now() - startTime,
+      });
+      return result;
+    } catch (error) {
+      this.audit(upstream, method, params, context.user, {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count an upstream call against the caller's API-key rate limit
+   * (the key's own limit, or RATE_LIMIT_MAX per RATE_LIMIT_WINDOW_MS)
+   * @param {Object} [user] - Caller's API key data
+   * @throws {Error} With statusCode 429 if the limit is reached
+   */
+  checkRateLimit(user) {
+    const limit = user?.rateLimit || config.rateLimit.max;
+    const { allowed, retryAfterMs } = this.rateLimiter.consume(user?.id ?? 'anonymous', limit);
+
+    if (!allowed) {
+      const error = new Error(`Rate limit exceeded for upstream calls; retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+      error.statusCode = 429;
+      error.retryAfter = Math.ceil(retryAfterMs / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an upstream call in the log and the activity audit trail
+   * @param {Object} upstream - Upstream state
+   * @param {string} method - Upstream method
+   * @param {Object} params - Upstream parameters
+   * @param {Object} [user] - Caller's API key data
+   * @param {Object} outcome - { success, duration, error }
+   */
+  audit(upstream, method, params, user, outcome) {
+    const details = {
+      upstream: upstream.definition.name,
+      target: params.name || params.uri,
+      keyName: user?.name,
+      ...outcome,
+    };
+
+    logger.info(`Upstream call: ${method}`, details);
+    storage.logActivity('gateway', method, details, user?.id || null).catch((error) => {
+      logger.debug('Failed to record upstream call', { error: error.message });
+    });
+  }
+
+  /**
+   * React to a notification from an upstream server
+   * @param {Object} upstream - Upstream state
+   * @param {Object} message - JSON-RPC notification
+   */
+  handleNotification(upstream, message) {
+    const name = upstream.definition.name;
+    const refresh = (importer) => importer.call(this, upstream).catch((error) => {
+      logger.warn('Failed to refresh upstream list', { upstream: name, method: message.method, error: error.message });
+    });
+
+    switch (message.method) {
+      case 'notifications/tools/list_changed':
+        refresh(this.importTools);
+        break;
+      case 'notifications/prompts/list_changed':
+        refresh(this.importPrompts);
+        break;
+      case 'notifications/resources/list_changed':
+        refresh(this.importResources);
+        break;
+      case 'notifications/resources/updated':
+        if (message.params?.uri) {
+          resourceRegistry.notifyUpdated(`${UPSTREAM_URI_PREFIX}${upstream.definition.namespace}/${message.params.uri}`);
+        }
+        break;
+      case 'notifications/message':
+        logger.debug('Upstream server log', { upstream: name, level: message.params?.level, data: message.params?.data });
+        break;
+      default:
+        logger.debug('Ignoring upstream notification', { upstream: name, method: message.method });
+    }
+  }
+
+  /**
+   * Remove everything imported from an upstream server from the registries
+   * @param {Object} upstream - Upstream state
+   */
+  removeImports(upstream) {
+    const { imported } = upstream;
+    imported.tools.forEach(name => registry.unregister(name));
+    imported.prompts.forEach(name => promptRegistry.unregister(name));
+    imported.resources.forEach(uri => resourceRegistry.unregister(uri));
+    imported.templates.forEach(uriTemplate => resourceRegistry.unregisterTemplate(uriTemplate));
+    upstream.imported = { tools: [], prompts: [], resources: [], templates: [] };
+  }
+
+  /**
+   * Describe the state of an upstream server
+   * @param {Object} upstream - Upstream state
+   * @returns {Object}
+   */
+  describe(upstream) {
+    const { definition, client, imported } = upstream;
+    return {
+      name: definition.name,
+      namespace: definition.namespace,
+      transport: getTransportType(definition),
+      status: upstream.status,
+      serverInfo: client?.serverInfo || null,
+      protocolVersion: client?.protocolVersion || null,
+      tools: imported.tools.length,
+      prompts: imported.prompts.length,
+      resources: imported.resources.length + imported.templates.length,
+      connectedAt: upstream.status === 'connected' ? upstream.connectedAt : null,
+      lastError: upstream.lastError,
+    };
+  }
+
+  /**
+   * Get the state of every configured upstream server
+   * @returns {Array<Object>}
+   */
+  getStatus() {
+    return Array.from(this.upstreams.values()).map(upstream => this.describe(upstream));
+  }
+}
+
+const upstreamManager = new UpstreamManager();
+
+module.exports = {
+  UpstreamManager,
+  upstreamManager,
+  loadUpstreamDefinitions,
+  NAMESPACE_SEPARATOR,
+  UPSTREAM_URI_PREFIX,
+};
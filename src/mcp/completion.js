@@ -0,0 +1,139 @@
+/**
+ * MCP Argument Completion
+ * Suggestions for prompt arguments and resource template variables
+ * (completion/complete)
+ */
+const { promptRegistry } = require('./promptRegistry');
+const { resourceRegistry } = require('./resourceRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * The protocol caps a completion response at this many values
+ */
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Rank candidate values against the partial value typed so far.
+ * Prefix matches come first, then substring matches, each ordered by
+ * how early the match occurs and then alphabetically. Matching ignores case.
+ * @param {Array} candidates - Candidate values
+ * @param {string} partial - Partial value
+ * @returns {string[]} Matching values, best first
+ */
+function rankCompletions(candidates, partial = '') {
+  const needle = String(partial).toLowerCase();
+  const seen = new Set();
+  const ranked = [];
+
+  for (const candidate of candidates) {
+    const value = String(candidate);
+    if (seen.has(value)) continue;
+    seen.add(value);
+
+    const position = value.toLowerCase().indexOf(needle);
+    if (position === -1) continue;
+
+    ranked.push({ value, position });
+  }
+
+  ranked.sort((a, b) => a.position - b.position || a.value.localeCompare(b.value));
+  return ranked.map(entry => entry.value);
+}
+
+/**
+ * Resolve a completion source (array or async provider) to candidate values
+ * @param {Array|Function} source - Static values or provider
+ * @param {string} value - Partial value
+ * @param {Object} context - Completion context
+ * @returns {Promise<Array>}
+ */
+async function resolveCandidates(source, value, context) {
+  if (Array.isArray(source)) {
+    return source;
+  }
+  if (typeof source === 'function') {
+    const values = await source(value, context);
+    return Array.isArray(values) ? values : [];
+  }
+  return [];
+}
+
+/**
+ * Find the completion source for a reference and argument
+ * @param {Object} ref - { type: 'ref/prompt', name } or { type: 'ref/resource', uri }
+ * @param {string} argumentName - Argument or template variable name
+ * @returns {Array|Function|null} Completion source, or null if none is declared
+ * @throws {Error} With statusCode 400 for an unknown or malformed reference
+ */
+function findCompletionSource(ref, argumentName) {
+  if (ref?.type === 'ref/prompt') {
+    const prompt = promptRegistry.get(ref.name);
+    if (!prompt) {
+      const error = new Error(`Prompt not found: ${ref.name}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const arg = prompt.arguments.find(a => a.name === argumentName);
+    return arg?.complete || arg?.enum || null;
+  }
+
+  if (ref?.type === 'ref/resource') {
+    const template = resourceRegistry.templates.get(ref.uri);
+    if (!template) {
+      const error = new Error(`Resource template not found: ${ref.uri}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return template.completions[argumentName] || null;
+  }
+
+  const error = new Error(`Invalid completion reference type: ${ref?.type}`);
+  error.statusCode = 400;
+  throw error;
+}
+
+/**
+ * Complete an argument value
+ * @param {Object} ref - Prompt or resource template reference
+ * @param {Object} argument - { name, value } of the argument being completed
+ * @param {Object} [context] - Completion context
+ * @param {Object} [context.arguments] - Values of arguments the client already resolved
+ * @returns {Promise<Object>} MCP completion result
+ */
+async function complete(ref, argument, context = {}) {
+  if (!argument?.name) {
+    const error = new Error('Invalid params: argument name required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const source = findCompletionSource(ref, argument.name);
+  const partial = argument.value ?? '';
+  let candidates = [];
+
+  try {
+    candidates = await resolveCandidates(source, partial, context);
+  } catch (error) {
+    logger.warn('Completion provider failed', {
+      ref: ref.name || ref.uri,
+      argument: argument.name,
+      error: error.message,
+    });
+  }
+
+  const matches = rankCompletions(candidates, partial);
+
+  return {
+    completion: {
+      values: matches.slice(0, MAX_COMPLETION_VALUES),
+      total: matches.length,
+      hasMore: matches.length > MAX_COMPLETION_VALUES,
+    },
+  };
+}
+
+module.exports = {
+  complete,
+  rankCompletions,
+  MAX_COMPLETION_VALUES,
+};
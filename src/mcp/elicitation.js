@@ -0,0 +1,136 @@
+/**
+ * MCP Elicitation Helper
+ * Builds the elicit() callback handed to tool handlers, which asks the
+ * session's user for input (elicitation/create) and waits for the answer
+ */
+
+/**
+ * Types allowed for requested fields (the protocol only allows flat, primitive schemas)
+ */
+const PRIMITIVE_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+/**
+ * Actions a client may answer an elicitation with
+ */
+const ELICITATION_ACTIONS = ['accept', 'decline', 'cancel'];
+
+/**
+ * Default time to wait for the user, who may take a while to fill in a form
+ */
+const DEFAULT_ELICITATION_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Check that a requested schema is a flat object of primitive fields
+ * @param {Object} schema - JSON Schema for the requested input
+ * @throws {Error} With statusCode 400 if the schema is not allowed
+ */
+function validateRequestedSchema(schema) {
+  if (!schema || schema.type !== 'object' || !schema.properties || typeof schema.properties !== 'object') {
+    const error = new Error('Invalid elicitation schema: must be an object schema with properties');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  for (const [name, property] of Object.entries(schema.properties)) {
+    if (!PRIMITIVE_TYPES.includes(property?.type)) {
+      const error = new Error(`Invalid elicitation schema: property '${name}' must be one of ${PRIMITIVE_TYPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Check that accepted content matches the requested schema
+ * @param {Object} schema - Requested schema
+ * @param {Object} content - Content returned by the client
+ * @throws {Error} With statusCode 502 if the client answered with invalid content
+ */
+function validateContent(schema, content) {
+  const fail = (message) => {
+    const error = new Error(`Invalid elicitation response: ${message}`);
+    error.statusCode = 502;
+    throw error;
+  };
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    fail('accepted response must include content');
+  }
+
+  for (const name of schema.required || []) {
+    if (content[name] === undefined) {
+      fail(`missing required field '${name}'`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(content)) {
+    const property = schema.properties[name];
+    if (!property) continue;
+
+    const type = property.type === 'integer' ? 'number' : property.type;
+    if (typeof value !== type || (property.type === 'integer' && !Number.isInteger(value))) {
+      fail(`field '${name}' must be of type ${property.type}`);
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      fail(`field '${name}' must be one of ${property.enum.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Check whether a session's client can answer elicitation requests
+ * @param {McpSession} [session] - MCP session
+ * @returns {boolean}
+ */
+function canElicit(session) {
+  return !!session && session.supports('elicitation') && !!session.clientCapabilities?.elicitation;
+}
+
+/**
+ * Create the elicit() helper for a request
+ * @param {Object} options - Elicitor options
+ * @param {McpSession} [options.session] - Session the request arrived on
+ * @param {Function} [options.send] - Sends messages on the request's channel
+ * @param {AbortSignal} [options.signal] - Aborted when the request is cancelled
+ * @returns {Function} elicit(message, requestedSchema, { timeout }) resolving to
+ *   { action: 'accept' | 'decline' | 'cancel', content }
+ */
+function createElicitor({ session, send, signal } = {}) {
+  return async (message, requestedSchema, { timeout = DEFAULT_ELICITATION_TIMEOUT } = {}) => {
+    if (!canElicit(session)) {
+      const error = new Error(session
+        ? 'Elicitation is not supported by this client (requires the elicitation capability and protocol version 2025-06-18)'
+        : 'Elicitation requires an MCP session');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (typeof message !== 'string' || !message) {
+      const error = new Error('Invalid elicitation: message is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    validateRequestedSchema(requestedSchema);
+
+    const result = await session.request('elicitation/create', { message, requestedSchema }, {
+      send,
+      signal,
+      timeout,
+    });
+
+    if (!ELICITATION_ACTIONS.includes(result?.action)) {
+      const error = new Error(`Invalid elicitation response: unknown action '${result?.action}'`);
+      error.statusCode = 502;
+      throw error;
+    }
+
+    if (result.action !== 'accept') {
+      return { action: result.action };
+    }
+
+    validateContent(requestedSchema, result.content);
+    return { action: 'accept', content: result.content };
+  };
+}
+
+module.exports = { createElicitor, canElicit };
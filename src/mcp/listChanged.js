@@ -0,0 +1,80 @@
+/**
+ * MCP list_changed Notifications
+ * Tells connected sessions when the tool, prompt or resource lists change
+ */
+const { registry } = require('./toolRegistry');
+const { promptRegistry } = require('./promptRegistry');
+const { resourceRegistry } = require('./resourceRegistry');
+const { sessionManager } = require('./session');
+const { hasScope } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Changes arriving within this window are sent as one notification
+ * (e.g. a registry reload registering many tools)
+ */
+const LIST_CHANGED_DEBOUNCE = 100;
+
+const LIST_TYPES = {
+  tools: { source: registry, method: 'notifications/tools/list_changed', scope: 'tools:read' },
+  prompts: { source: promptRegistry, method: 'notifications/prompts/list_changed', scope: 'prompts:read' },
+  resources: { source: resourceRegistry, method: 'notifications/resources/list_changed', scope: 'resources:read' },
+};
+
+const pendingTimers = new Map();
+let started = false;
+
+/**
+ * Send a list_changed notification to every initialized session with the read scope
+ * @param {string} listType - Key of LIST_TYPES
+ * @returns {number} Number of sessions notified
+ */
+function broadcastListChanged(listType) {
+  const { method, scope } = LIST_TYPES[listType];
+  let notified = 0;
+
+  for (const session of sessionManager.list()) {
+    if (!session.initialized || !session.canSend) continue;
+    if (!hasScope(session.apiKeyData?.scopes, scope)) continue;
+
+    if (session.send({ jsonrpc: '2.0', method })) {
+      notified++;
+    }
+  }
+
+  logger.debug('List changed notification sent', { listType, sessions: notified });
+  return notified;
+}
+
+/**
+ * Queue a list_changed broadcast, coalescing bursts of changes
+ * @param {string} listType - Key of LIST_TYPES
+ */
+function scheduleBroadcast(listType) {
+  if (pendingTimers.has(listType)) return;
+
+  const timer = setTimeout(() => {
+    pendingTimers.delete(listType);
+    broadcastListChanged(listType);
+  }, LIST_CHANGED_DEBOUNCE);
+  timer.unref();
+  pendingTimers.set(listType, timer);
+}
+
+/**
+ * Subscribe to registry changes and forward them to sessions
+ */
+function startListChangedNotifications() {
+  if (started) return;
+  started = true;
+
+  for (const [listType, { source }] of Object.entries(LIST_TYPES)) {
+    source.on('listChanged', () => scheduleBroadcast(listType));
+  }
+}
+
+module.exports = {
+  startListChangedNotifications,
+  broadcastListChanged,
+  LIST_TYPES,
+};
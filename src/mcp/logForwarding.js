@@ -0,0 +1,108 @@
+/**
+ * MCP Log Forwarding
+ * Sends server log records produced while handling a session's requests
+ * to that session as notifications/message, filtered by the level the
+ * client chose with logging/setLevel
+ */
+const winston = require('winston');
+const { getRequestContext } = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+/**
+ * MCP log levels (RFC 5424 severities), most verbose first
+ */
+const MCP_LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+/**
+ * Winston level to MCP level
+ */
+const WINSTON_TO_MCP_LEVEL = {
+  error: 'error',
+  warn: 'warning',
+  info: 'info',
+  http: 'debug',
+  debug: 'debug',
+};
+
+const LOGGER_NAME = 'spurs-mcp-server';
+
+// Winston keeps the uncolorized level under this symbol
+const LEVEL = Symbol.for('level');
+
+/**
+ * Check if a level name is a valid MCP log level
+ * @param {string} level - Level name
+ * @returns {boolean}
+ */
+function isValidLogLevel(level) {
+  return MCP_LOG_LEVELS.includes(level);
+}
+
+/**
+ * Check if a record at one level passes a session's minimum level
+ * @param {string} level - MCP level of the record
+ * @param {string} minLevel - Session's minimum MCP level
+ * @returns {boolean}
+ */
+function meetsLevel(level, minLevel) {
+  return MCP_LOG_LEVELS.indexOf(level) >= MCP_LOG_LEVELS.indexOf(minLevel);
+}
+
+/**
+ * @class McpLogTransport
+ * Winston transport that forwards records to the session of the current request
+ */
+class McpLogTransport extends winston.Transport {
+  constructor(options = {}) {
+    super({ ...options, level: 'debug' });
+    this.forwarding = false;
+  }
+
+  log(info, callback) {
+    const context = getRequestContext();
+    const session = context?.session;
+
+    // Sending can log (e.g. a closed socket); never forward those recursively
+    if (session?.logLevel && !this.forwarding) {
+      const level = WINSTON_TO_MCP_LEVEL[info[LEVEL]] || 'info';
+
+      if (meetsLevel(level, session.logLevel)) {
+        const { level: _level, message, service, ...meta } = info;
+        this.forwarding = true;
+        try {
+          context.reply({
+            jsonrpc: '2.0',
+            method: 'notifications/message',
+            params: {
+              level,
+              logger: service || LOGGER_NAME,
+              data: { message, ...meta },
+            },
+          });
+        } finally {
+          this.forwarding = false;
+        }
+      }
+    }
+
+    callback();
+  }
+}
+
+let started = false;
+
+/**
+ * Attach the forwarding transport to the server logger
+ */
+function startLogForwarding() {
+  if (started) return;
+  started = true;
+  logger.add(new McpLogTransport());
+}
+
+module.exports = {
+  startLogForwarding,
+  isValidLogLevel,
+  McpLogTransport,
+  MCP_LOG_LEVELS,
+};
@@ -0,0 +1,48 @@
+/**
+ * MCP Progress Notifications
+ * Builds the reportProgress callback handed to tool handlers
+ */
+const logger = require('../utils/logger');
+
+/**
+ * Create a progress reporter for a request
+ * Without a progressToken the reporter is a no-op, so handlers can always call it.
+ * @param {Object} options - Reporter options
+ * @param {string|number} [options.progressToken] - Token from the request's _meta
+ * @param {Function} options.send - Sends a notification on the request's channel
+ * @param {boolean} [options.includeMessage=true] - Whether the client accepts a message field
+ * @returns {Function} reportProgress(progress, total, message)
+ */
+function createProgressReporter({ progressToken, send, includeMessage = true }) {
+  if (progressToken === undefined || progressToken === null) {
+    return () => {};
+  }
+
+  let lastProgress = null;
+
+  return (progress, total, message) => {
+    if (typeof progress !== 'number' || !Number.isFinite(progress)) {
+      logger.warn('Ignoring progress report with invalid value', { progressToken, progress });
+      return;
+    }
+
+    // Progress must increase with every notification
+    if (lastProgress !== null && progress <= lastProgress) {
+      return;
+    }
+    lastProgress = progress;
+
+    send({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        ...(typeof total === 'number' && { total }),
+        ...(message && includeMessage && { message }),
+      },
+    });
+  };
+}
+
+module.exports = { createProgressReporter };
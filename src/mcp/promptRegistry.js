@@ -2,6 +2,7 @@
  * Prompt Registry
  * Manages prompt templates for AI interactions
  */
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
 
 /**
@@ -14,11 +15,21 @@ function validateArgument(arg) {
     throw new Error('Argument must have a name');
   }
   
+  if (arg.enum !== undefined && !Array.isArray(arg.enum)) {
+    throw new Error(`Argument ${arg.name}: enum must be an array`);
+  }
+  
+  if (arg.complete !== undefined && typeof arg.complete !== 'function') {
+    throw new Error(`Argument ${arg.name}: complete must be a function`);
+  }
+  
   return {
     name: arg.name,
     description: arg.description || '',
     required: arg.required !== false,
     default: arg.default,
+    enum: arg.enum,
+    complete: arg.complete,
   };
 }
 
@@ -26,8 +37,9 @@ function validateArgument(arg) {
  * @class PromptRegistry
  * Manages registration and rendering of prompt templates
  */
-class PromptRegistry {
+class PromptRegistry extends EventEmitter {
   constructor() {
+    super();
     this.prompts = new Map();
   }
 
@@ -36,8 +48,11 @@ class PromptRegistry {
    * @param {Object} prompt - Prompt definition
    * @param {string} prompt.name - Unique prompt name
    * @param {string} prompt.description - Prompt description
-   * @param {Array} prompt.arguments - Prompt arguments
-   * @param {string} prompt.template - Prompt template with {{placeholders}}
+   * @param {Array} prompt.arguments - Prompt arguments; each may declare an enum
+   *   or an async complete(value, context) provider for completion/complete
+   * @param {string} [prompt.template] - Prompt template with {{placeholders}}
+   * @param {Function} [prompt.handler] - Async (args, context) => { messages } used
+   *   instead of a template (e.g. prompts rendered by an upstream server)
    * @returns {PromptRegistry} this for chaining
    */
   register(prompt) {
@@ -45,7 +60,11 @@ class PromptRegistry {
       throw new Error('Prompt must have a valid name');
     }
     
-    if (!prompt.template || typeof prompt.template !== 'string') {
+    if (prompt.handler !== undefined && typeof prompt.handler !== 'function') {
+      throw new Error('Prompt handler must be a function');
+    }
+    
+    if (!prompt.handler && (!prompt.template || typeof prompt.template !== 'string')) {
       throw new Error('Prompt must have a template');
     }
 
@@ -54,13 +73,29 @@ class PromptRegistry {
       description: prompt.description || '',
       arguments: (prompt.arguments || []).map(validateArgument),
       template: prompt.template,
+      handler: prompt.handler,
     };
 
     this.prompts.set(prompt.name, promptDef);
     logger.info(`Prompt registered: ${prompt.name}`);
+    this.emit('listChanged');
     return this;
   }
 
+  /**
+   * Unregister a prompt
+   * @param {string} name - Prompt name
+   * @returns {boolean} True if the prompt was removed
+   */
+  unregister(name) {
+    const existed = this.prompts.delete(name);
+    if (existed) {
+      logger.info(`Prompt unregistered: ${name}`);
+      this.emit('listChanged');
+    }
+    return existed;
+  }
+
   /**
    * Get a prompt by name
    * @param {string} name - Prompt name
@@ -87,7 +122,7 @@ class PromptRegistry {
     return Array.from(this.prompts.values()).map(prompt => ({
       name: prompt.name,
       description: prompt.description,
-      arguments: prompt.arguments,
+      arguments: prompt.arguments.map(({ complete, ...arg }) => arg),
     }));
   }
 
@@ -95,10 +130,11 @@ class PromptRegistry {
    * Render a prompt with provided arguments
    * @param {string} name - Prompt name
    * @param {Object} args - Arguments to substitute
-   * @returns {Object} Rendered prompt with messages array
+   * @param {Object} [context] - Request context passed to handler prompts
+   * @returns {Promise<Object>} Rendered prompt with messages array
    * @throws {Error} If prompt not found or required arguments missing
    */
-  render(name, args = {}) {
+  async render(name, args = {}, context = {}) {
     const prompt = this.prompts.get(name);
     if (!prompt) {
       throw new Error(`Prompt not found: ${name}`);
@@ -112,6 +148,10 @@ class PromptRegistry {
       throw new Error(`Missing required arguments: ${missingRequired.join(', ')}`);
     }
 
+    if (prompt.handler) {
+      return prompt.handler(args, context);
+    }
+
     const resolvedArgs = {};
     for (const arg of prompt.arguments) {
       resolvedArgs[arg.name] = args[arg.name] ?? arg.default ?? '';
@@ -147,12 +187,22 @@ class PromptRegistry {
 
 const promptRegistry = new PromptRegistry();
 
+const PROGRAMMING_LANGUAGES = [
+  'javascript', 'typescript', 'python', 'java', 'go', 'rust', 'c', 'cpp', 'csharp',
+  'ruby', 'php', 'swift', 'kotlin', 'scala', 'sql', 'bash', 'html', 'css',
+];
+
+const NATURAL_LANGUAGES = [
+  'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Russian',
+  'Chinese', 'Japanese', 'Korean', 'Arabic', 'Hindi', 'Turkish', 'Polish', 'Swedish',
+];
+
 promptRegistry.register({
   name: 'summarize',
   description: 'Summarize the given text',
   arguments: [
     { name: 'text', description: 'Text to summarize', required: true },
-    { name: 'length', description: 'Summary length (short/medium/long)', required: false },
+    { name: 'length', description: 'Summary length (short/medium/long)', required: false, enum: ['short', 'medium', 'long'] },
   ],
   template: 'Please summarize the following text in a {{length}} format:\n\n{{text}}',
 });
@@ -162,7 +212,7 @@ promptRegistry.register({
   description: 'Analyze code for issues and improvements',
   arguments: [
     { name: 'code', description: 'Code to analyze', required: true },
-    { name: 'language', description: 'Programming language', required: false },
+    { name: 'language', description: 'Programming language', required: false, enum: PROGRAMMING_LANGUAGES },
   ],
   template: 'Analyze the following {{language}} code for bugs, security issues, and potential improvements:\n\n```{{language}}\n{{code}}\n```',
 });
@@ -172,7 +222,7 @@ promptRegistry.register({
   description: 'Translate text to another language',
   arguments: [
     { name: 'text', description: 'Text to translate', required: true },
-    { name: 'target_language', description: 'Target language', required: true },
+    { name: 'target_language', description: 'Target language', required: true, enum: NATURAL_LANGUAGES },
   ],
   template: 'Translate the following text to {{target_language}}:\n\n{{text}}',
 });
@@ -0,0 +1,81 @@
+/**
+ * MCP Protocol Versions
+ * Supported protocol revisions, version negotiation and per-version feature gates
+ */
+
+/**
+ * Supported protocol versions, newest first
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+/**
+ * Version assumed for sessions that never negotiated one
+ */
+const DEFAULT_PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Protocol features and the range of versions that support them
+ * (versions are ISO dates, so string comparison orders them)
+ */
+const PROTOCOL_FEATURES = {
+  batching: { since: '2024-11-05', until: '2025-03-26' },
+  toolAnnotations: { since: '2025-03-26' },
+  audioContent: { since: '2025-03-26' },
+  completions: { since: '2025-03-26' },
+  progressMessages: { since: '2025-03-26' },
+  structuredOutput: { since: '2025-06-18' },
+  toolTitles: { since: '2025-06-18' },
+  resourceLinks: { since: '2025-06-18' },
+  elicitation: { since: '2025-06-18' },
+};
+
+/**
+ * Check if a protocol version is supported
+ * @param {string} version - Protocol version
+ * @returns {boolean}
+ */
+function isSupportedVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+}
+
+/**
+ * Pick the protocol version for a session from the version the client requested.
+ * A supported request is echoed back; anything else gets the latest version.
+ * @param {string} requestedVersion - Version sent by the client in initialize
+ * @returns {string} Negotiated protocol version
+ */
+function negotiateProtocolVersion(requestedVersion) {
+  if (isSupportedVersion(requestedVersion)) {
+    return requestedVersion;
+  }
+  return LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Check if a protocol version includes a feature
+ * @param {string} version - Protocol version
+ * @param {string} feature - Feature name from PROTOCOL_FEATURES
+ * @returns {boolean}
+ */
+function supportsFeature(version, feature) {
+  const range = PROTOCOL_FEATURES[feature];
+  if (!range) {
+    throw new Error(`Unknown protocol feature: ${feature}`);
+  }
+
+  const effectiveVersion = version || DEFAULT_PROTOCOL_VERSION;
+  if (effectiveVersion < range.since) return false;
+  if (range.until && effectiveVersion > range.until) return false;
+  return true;
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  DEFAULT_PROTOCOL_VERSION,
+  PROTOCOL_FEATURES,
+  isSupportedVersion,
+  negotiateProtocolVersion,
+  supportsFeature,
+};
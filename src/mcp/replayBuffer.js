@@ -0,0 +1,74 @@
+/**
+ * Replay Buffer
+ * Numbers the messages sent on a session and keeps the ones sent while the
+ * client is disconnected, so it can get what it missed when it reconnects
+ * (Last-Event-ID style)
+ */
+
+/**
+ * @class ReplayBuffer
+ * Bounded by both message count and total serialized size
+ */
+class ReplayBuffer {
+  /**
+   * @param {Object} options - Buffer limits
+   * @param {number} options.maxEvents - Maximum number of messages kept
+   * @param {number} options.maxBytes - Maximum total size of kept messages
+   */
+  constructor({ maxEvents, maxBytes }) {
+    this.maxEvents = maxEvents;
+    this.maxBytes = maxBytes;
+    this.events = [];
+    this.totalBytes = 0;
+    this.lastEventId = 0;
+  }
+
+  /**
+   * Number a message that was delivered to the client. Kept messages are
+   * older and were replayed before delivery resumed, so they are dropped.
+   * @returns {number} Event ID of the message
+   */
+  skip() {
+    this.events = [];
+    this.totalBytes = 0;
+    return ++this.lastEventId;
+  }
+
+  /**
+   * Keep an outgoing message that could not be delivered
+   * @param {Object} message - JSON-RPC message
+   * @returns {number} Event ID of the message (1 for the first message of the session)
+   */
+  push(message) {
+    const data = JSON.stringify(message);
+    const id = ++this.lastEventId;
+
+    this.events.push({ id, data });
+    this.totalBytes += data.length;
+
+    while (this.events.length > this.maxEvents || (this.totalBytes > this.maxBytes && this.events.length > 1)) {
+      this.totalBytes -= this.events.shift().data.length;
+    }
+
+    return id;
+  }
+
+  /**
+   * Get the messages sent after an event ID
+   * @param {number} lastEventId - Last event ID the client received (0 for none)
+   * @returns {{events: Array<{id: number, data: string}>, complete: boolean}} Serialized
+   *   messages, and whether none of the requested messages were already dropped
+   */
+  since(lastEventId) {
+    const after = Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0;
+    const events = this.events.filter(event => event.id > after);
+    const firstKept = this.events.length > 0 ? this.events[0].id : this.lastEventId + 1;
+
+    return {
+      events,
+      complete: after >= firstKept - 1,
+    };
+  }
+}
+
+module.exports = { ReplayBuffer };
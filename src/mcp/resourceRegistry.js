@@ -2,7 +2,10 @@
  * Resource Registry
  * Manages MCP resources and their handlers
  */
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const { UriTemplate } = require('../utils/uriTemplate');
+const { resultStore } = require('./resultStore');
 
 const VALID_MIME_TYPES = [
   'text/plain',
@@ -32,9 +35,11 @@ function isValidUri(uri) {
  * @class ResourceRegistry
  * Manages registration and reading of MCP resources
  */
-class ResourceRegistry {
+class ResourceRegistry extends EventEmitter {
   constructor() {
+    super();
     this.resources = new Map();
+    this.templates = new Map();
   }
 
   /**
@@ -71,25 +76,103 @@ class ResourceRegistry {
 
     this.resources.set(resource.uri, resourceDef);
     logger.info(`Resource registered: ${resource.uri}`);
+    this.emit('listChanged');
     return this;
   }
 
   /**
-   * Get resource by URI
+   * Register a resource template that serves a whole family of URIs
+   * @param {Object} template - Template definition
+   * @param {string} template.uriTemplate - RFC 6570 URI template, e.g. mcp://tools/{name}
+   * @param {string} template.name - Human-readable name
+   * @param {string} template.description - Template description
+   * @param {string} template.mimeType - Content MIME type
+   * @param {Function} template.handler - Async handler called with (context, variables)
+   * @param {Object} [template.completions] - Per-variable completion: an array of values
+   *   or an async (value, context) => values provider
+   * @returns {ResourceRegistry} this for chaining
+   */
+  registerTemplate(template) {
+    if (!template.uriTemplate) {
+      throw new Error('Resource template must have a uriTemplate');
+    }
+
+    if (!isValidUri(template.uriTemplate)) {
+      throw new Error(`Invalid resource URI format: ${template.uriTemplate}. Must start with mcp://, file://, http://, or https://`);
+    }
+
+    if (typeof template.handler !== 'function') {
+      throw new Error('Resource template must have a handler');
+    }
+
+    const templateDef = {
+      uriTemplate: template.uriTemplate,
+      name: template.name || template.uriTemplate,
+      description: template.description || '',
+      mimeType: template.mimeType || 'text/plain',
+      handler: template.handler,
+      completions: template.completions || {},
+      matcher: new UriTemplate(template.uriTemplate),
+    };
+
+    this.templates.set(template.uriTemplate, templateDef);
+    logger.info(`Resource template registered: ${template.uriTemplate}`);
+    this.emit('listChanged');
+    return this;
+  }
+
+  /**
+   * Unregister a resource template
+   * @param {string} uriTemplate - URI template
+   * @returns {boolean} True if the template was removed
+   */
+  unregisterTemplate(uriTemplate) {
+    const existed = this.templates.delete(uriTemplate);
+    if (existed) {
+      logger.info(`Resource template unregistered: ${uriTemplate}`);
+      this.emit('listChanged');
+    }
+    return existed;
+  }
+
+  /**
+   * Find the resource or template serving a URI
+   * Fixed resources take precedence over templates.
+   * @param {string} uri - Resource URI
+   * @returns {Object|null} { resource, variables } or null if nothing matches
+   */
+  resolve(uri) {
+    const resource = this.resources.get(uri);
+    if (resource) {
+      return { resource, variables: {} };
+    }
+
+    for (const template of this.templates.values()) {
+      const variables = template.matcher.match(uri);
+      if (variables) {
+        return { resource: template, variables };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get resource by URI (fixed resource or matching template)
    * @param {string} uri - Resource URI
    * @returns {Object|undefined}
    */
   get(uri) {
-    return this.resources.get(uri);
+    return this.resolve(uri)?.resource;
   }
 
   /**
-   * Check if resource exists
+   * Check if resource exists (fixed or served by a template)
    * @param {string} uri - Resource URI
    * @returns {boolean}
    */
   has(uri) {
-    return this.resources.has(uri);
+    return this.resolve(uri) !== null;
   }
 
   /**
@@ -105,26 +188,41 @@ class ResourceRegistry {
     }));
   }
 
+  /**
+   * List all registered resource templates
+   * @returns {Array} List of template definitions
+   */
+  listTemplates() {
+    return Array.from(this.templates.values()).map(template => ({
+      uriTemplate: template.uriTemplate,
+      name: template.name,
+      description: template.description,
+      mimeType: template.mimeType,
+    }));
+  }
+
   /**
    * Read resource content
+   * Template handlers also get the variables extracted from the URI.
    * @param {string} uri - Resource URI
    * @param {Object} context - Request context
    * @returns {Promise<Object>} Resource content
    * @throws {Error} If resource not found
    */
   async read(uri, context = {}) {
-    const resource = this.resources.get(uri);
-    if (!resource) {
+    const resolved = this.resolve(uri);
+    if (!resolved) {
       const error = new Error(`Resource not found: ${uri}`);
       error.statusCode = 404;
       throw error;
     }
 
+    const { resource, variables } = resolved;
     const startTime = Date.now();
     
     try {
       if (resource.handler) {
-        const result = await resource.handler(context);
+        const result = await resource.handler({ ...context, uri }, variables);
         const duration = Date.now() - startTime;
         logger.debug(`Resource read: ${uri}`, { duration: `${duration}ms` });
         return result;
@@ -137,6 +235,20 @@ class ResourceRegistry {
     }
   }
 
+  /**
+   * Signal that a resource's content changed so subscribers are notified.
+   * URIs served by a template can be notified too, matching what can be subscribed.
+   * @param {string} uri - Resource URI
+   * @returns {boolean} True if a resource or template serves the URI
+   */
+  notifyUpdated(uri) {
+    if (!this.has(uri)) {
+      return false;
+    }
+    this.emit('updated', uri);
+    return true;
+  }
+
   /**
    * Unregister a resource
    * @param {string} uri - Resource URI
@@ -146,6 +258,7 @@ class ResourceRegistry {
     const existed = this.resources.delete(uri);
     if (existed) {
       logger.info(`Resource unregistered: ${uri}`);
+      this.emit('listChanged');
     }
     return existed;
   }
@@ -175,6 +288,7 @@ resourceRegistry.register({
         name: 'SPURS MCP Server',
         version: '1.0.0',
         status: 'operational',
+        uptime: Math.floor(process.uptime()),
         timestamp: new Date().toISOString(),
       }),
     }],
@@ -202,4 +316,111 @@ resourceRegistry.register({
   }),
 });
 
+/**
+ * Complete tool names for the tool resource templates
+ * @returns {Promise<string[]>}
+ */
+async function completeToolName() {
+  const { registry } = require('./toolRegistry');
+  return registry.list().map(tool => tool.name);
+}
+
+/**
+ * Look up a tool for the tool resource templates
+ * @param {string} name - Tool name
+ * @returns {Object} Tool definition
+ * @throws {Error} If the tool does not exist
+ */
+function getToolOrThrow(name) {
+  const { registry } = require('./toolRegistry');
+  const tool = registry.get(name);
+  if (!tool) {
+    const error = new Error(`Tool not found: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return tool;
+}
+
+resourceRegistry.registerTemplate({
+  uriTemplate: 'mcp://tools/{name}',
+  name: 'Tool Definition',
+  description: 'Definition and input schema of a tool',
+  mimeType: 'application/json',
+  completions: { name: completeToolName },
+  handler: async ({ uri }, { name }) => {
+    const tool = getToolOrThrow(name);
+    return {
+      uri,
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          name: tool.name,
+          title: tool.title,
+          description: tool.description,
+          inputSchema: tool.inputSchema,
+          outputSchema: tool.outputSchema,
+          annotations: tool.annotations,
+          category: tool.category,
+          isBuiltin: !!tool.isBuiltin,
+          version: tool.version,
+        }),
+      }],
+    };
+  },
+});
+
+resourceRegistry.registerTemplate({
+  uriTemplate: 'mcp://tools/{name}/source',
+  name: 'Generated Tool Source',
+  description: 'Handler source code of an auto-generated tool',
+  mimeType: 'text/javascript',
+  completions: {
+    name: async () => {
+      const { dynamicRegistry } = require('../evolution/registry');
+      return dynamicRegistry.list().map(tool => tool.name);
+    },
+  },
+  handler: async ({ uri }, { name }) => {
+    const tool = getToolOrThrow(name);
+    if (!tool.handlerCode) {
+      const error = new Error(`Source is only available for generated tools: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return {
+      uri,
+      contents: [{
+        uri,
+        mimeType: 'text/javascript',
+        text: tool.handlerCode,
+      }],
+    };
+  },
+});
+
+resourceRegistry.registerTemplate({
+  uriTemplate: 'mcp://results/{id}',
+  name: 'Stored Tool Result',
+  description: 'Tool output that was too large to include in the tool result',
+  mimeType: 'application/octet-stream',
+  handler: async ({ uri, user }, { id }) => {
+    const entry = resultStore.get(id);
+    if (!entry || (entry.ownerId !== undefined && entry.ownerId !== user?.id)) {
+      const error = new Error(`Resource not found: ${uri}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return {
+      uri,
+      contents: [{
+        uri,
+        mimeType: entry.mimeType,
+        ...(entry.blob !== undefined ? { blob: entry.blob } : { text: entry.text }),
+      }],
+    };
+  },
+});
+
 module.exports = { ResourceRegistry, resourceRegistry };
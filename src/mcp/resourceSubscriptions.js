@@ -0,0 +1,66 @@
+/**
+ * MCP Resource Subscriptions
+ * Pushes notifications/resources/updated to sessions subscribed to a resource
+ */
+const { resourceRegistry } = require('./resourceRegistry');
+const { sessionManager } = require('./session');
+const logger = require('../utils/logger');
+
+const SERVER_INFO_URI = 'mcp://server/info';
+const SERVER_INFO_REFRESH_INTERVAL = 30000;
+
+let started = false;
+
+/**
+ * Send an updated notification to every session subscribed to a resource
+ * @param {string} uri - Resource URI
+ * @returns {number} Number of sessions notified
+ */
+function notifySubscribers(uri) {
+  let notified = 0;
+
+  for (const session of sessionManager.list()) {
+    if (!session.resourceSubscriptions.has(uri)) continue;
+
+    if (session.send({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } })) {
+      notified++;
+    }
+  }
+
+  if (notified > 0) {
+    logger.debug('Resource updated notification sent', { uri, sessions: notified });
+  }
+  return notified;
+}
+
+/**
+ * Check if any session is subscribed to a resource
+ * @param {string} uri - Resource URI
+ * @returns {boolean}
+ */
+function hasSubscribers(uri) {
+  return sessionManager.list().some(session => session.resourceSubscriptions.has(uri));
+}
+
+/**
+ * Forward resource updates to subscribers and refresh the live server info resource
+ */
+function startResourceSubscriptions() {
+  if (started) return;
+  started = true;
+
+  resourceRegistry.on('updated', notifySubscribers);
+
+  // Server info carries uptime and a timestamp, so it changes continuously
+  const refreshTimer = setInterval(() => {
+    if (hasSubscribers(SERVER_INFO_URI)) {
+      resourceRegistry.notifyUpdated(SERVER_INFO_URI);
+    }
+  }, SERVER_INFO_REFRESH_INTERVAL);
+  refreshTimer.unref();
+}
+
+module.exports = {
+  startResourceSubscriptions,
+  notifySubscribers,
+};
@@ -0,0 +1,220 @@
+/**
+ * Tool Result Cache
+ * Opt-in cache of tool results for deterministic tools, keyed on the tool
+ * name, version and canonicalised arguments
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal arguments
+ * produce the same string whatever their key order
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item ?? null)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * @class ResultCache
+ * In-memory cache with per-tool TTLs and entry limits, a size limit per entry and a
+ * total size budget. Entries are evicted least recently used first.
+ */
+class ResultCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxTotalBytes] - Total size of all entries
+   * @param {number} [options.maxEntryBytes] - Largest result that is cached
+   * @param {number} [options.defaultMaxEntries] - Entries kept per tool that sets no maxEntries
+   */
+  constructor({
+    maxTotalBytes = config.toolCache.maxBytes,
+    maxEntryBytes = config.toolCache.maxEntryBytes,
+    defaultMaxEntries = config.toolCache.defaultMaxEntries,
+  } = {}) {
+    this.maxTotalBytes = maxTotalBytes;
+    this.maxEntryBytes = maxEntryBytes;
+    this.defaultMaxEntries = defaultMaxEntries;
+    this.entries = new Map();
+    this.toolCounts = new Map();
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Check whether a tool opted in to caching
+   * @param {Object} tool - Tool definition
+   * @returns {boolean}
+   */
+  isEnabled(tool) {
+    return !!tool?.cache?.ttl;
+  }
+
+  /**
+   * Build the cache key of a call
+   * @param {Object} tool - Tool definition
+   * @param {Object} args - Arguments (with defaults applied)
+   * @returns {string}
+   */
+  keyFor(tool, args) {
+    const digest = crypto.createHash('sha256').update(canonicalJson(args)).digest('hex');
+    return `${tool.name}@${tool.version || 1}:${digest}`;
+  }
+
+  /**
+   * Look up a cached result
+   * @param {Object} tool - Tool definition
+   * @param {Object} args - Arguments (with defaults applied)
+   * @returns {{result: Object, cachedAt: number, expiresAt: number}|undefined}
+   */
+  get(tool, args) {
+    const key = this.keyFor(tool, args);
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert so Map order stays least recently used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * Cache a result. Error results and results over the entry size limit are skipped.
+   * @param {Object} tool - Tool definition
+   * @param {Object} args - Arguments (with defaults applied)
+   * @param {Object} result - Tool result
+   * @returns {boolean} True if the result was cached
+   */
+  set(tool, args, result) {
+    if (!this.isEnabled(tool) || !result || result.isError) {
+      return false;
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(result));
+    if (size > this.maxEntryBytes) {
+      logger.debug('Tool result too large to cache', { name: tool.name, size });
+      return false;
+    }
+
+    this.prune();
+
+    const key = this.keyFor(tool, args);
+    this.delete(key);
+
+    const now = Date.now();
+    this.entries.set(key, {
+      tool: tool.name,
+      result,
+      size,
+      cachedAt: now,
+      expiresAt: now + tool.cache.ttl,
+    });
+    this.totalBytes += size;
+    this.toolCounts.set(tool.name, (this.toolCounts.get(tool.name) || 0) + 1);
+
+    const maxEntries = tool.cache.maxEntries || this.defaultMaxEntries;
+    for (const [oldKey, entry] of this.entries) {
+      const toolFull = this.toolCounts.get(tool.name) > maxEntries;
+      const storeFull = this.totalBytes > this.maxTotalBytes;
+      if (oldKey === key || (!toolFull && !storeFull)) break;
+      if (storeFull || entry.tool === tool.name) {
+        this.delete(oldKey);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the entry existed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+
+    const count = this.toolCounts.get(entry.tool) - 1;
+    if (count > 0) {
+      this.toolCounts.set(entry.tool, count);
+    } else {
+      this.toolCounts.delete(entry.tool);
+    }
+    return true;
+  }
+
+  /**
+   * Remove cached results
+   * @param {string} [name] - Only remove this tool's results
+   * @returns {number} Number of entries removed
+   */
+  flush(name) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!name || entry.tool === name) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info('Tool result cache flushed', { tool: name || 'all', removed });
+    }
+    return removed;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get cache counters
+   * @returns {{entries: number, bytes: number, hits: number, misses: number, byTool: Object}}
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      hits: this.hits,
+      misses: this.misses,
+      byTool: Object.fromEntries(this.toolCounts),
+    };
+  }
+}
+
+const resultCache = new ResultCache();
+
+module.exports = { ResultCache, resultCache };
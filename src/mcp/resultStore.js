@@ -0,0 +1,117 @@
+/**
+ * Tool Result Store
+ * Keeps tool outputs that are too large to inline, so results can reference
+ * them as resource links (mcp://results/{id}) that the caller reads later
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const RESULT_URI_PREFIX = 'mcp://results/';
+
+/**
+ * @class ResultStore
+ * In-memory store with a time-to-live and a total size budget (oldest entries are evicted first)
+ */
+class ResultStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.ttl] - Milliseconds an entry is kept
+   * @param {number} [options.maxTotalBytes] - Total size of all entries
+   */
+  constructor({ ttl = config.toolResults.storeTtl, maxTotalBytes = config.toolResults.maxStoreBytes } = {}) {
+    this.ttl = ttl;
+    this.maxTotalBytes = maxTotalBytes;
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Store content
+   * @param {Object} item - Content to store
+   * @param {string} item.mimeType - Content MIME type
+   * @param {string} [item.text] - Text content
+   * @param {string} [item.blob] - Base64 binary content
+   * @param {number} item.size - Size in bytes
+   * @param {string|number} [item.ownerId] - API key ID allowed to read the entry
+   * @returns {string} URI of the stored content
+   */
+  put({ mimeType, text, blob, size, ownerId }) {
+    this.prune();
+
+    const id = uuidv4();
+    this.entries.set(id, {
+      mimeType,
+      text,
+      blob,
+      size,
+      ownerId,
+      expiresAt: Date.now() + this.ttl,
+    });
+    this.totalBytes += size;
+
+    // Map iteration order is insertion order, so the first entries are the oldest
+    for (const [oldId, entry] of this.entries) {
+      if (this.totalBytes <= this.maxTotalBytes || oldId === id) break;
+      this.delete(oldId);
+      logger.debug('Evicted stored tool result', { id: oldId, size: entry.size });
+    }
+
+    return `${RESULT_URI_PREFIX}${id}`;
+  }
+
+  /**
+   * Get a stored entry
+   * @param {string} id - Entry ID
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.delete(id);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   * @returns {boolean} True if the entry existed
+   */
+  delete(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.entries.delete(id);
+    this.totalBytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get count of stored entries
+   * @returns {number}
+   */
+  get count() {
+    return this.entries.size;
+  }
+}
+
+const resultStore = new ResultStore();
+
+module.exports = { ResultStore, resultStore, RESULT_URI_PREFIX };
@@ -0,0 +1,120 @@
+/**
+ * MCP Client Roots
+ * Fetches and caches the directories a session's client exposes (roots/list),
+ * so tool handlers can limit filesystem access to them via context.getRoots()
+ */
+const logger = require('../utils/logger');
+
+/**
+ * Handlers wait on the answer, so do not wait long for it
+ */
+const ROOTS_REQUEST_TIMEOUT = 5000;
+
+/**
+ * Check whether a session's client exposes roots
+ * @param {McpSession} session - MCP session
+ * @returns {boolean}
+ */
+function supportsRoots(session) {
+  return !!session?.clientCapabilities?.roots;
+}
+
+/**
+ * Keep well-formed roots (file:// URIs with an optional name)
+ * @param {Array} roots - Roots from the client
+ * @returns {Array<{uri: string, name?: string}>}
+ */
+function normalizeRoots(roots) {
+  if (!Array.isArray(roots)) return [];
+
+  return roots
+    .filter(root => typeof root?.uri === 'string' && root.uri.startsWith('file://'))
+    .map(root => ({
+      uri: root.uri,
+      ...(typeof root.name === 'string' && { name: root.name }),
+    }));
+}
+
+/**
+ * Ask the client for its roots and cache the answer on the session.
+ * A failed answer is cached as no roots, so handlers do not wait on a client
+ * that cannot list roots until it sends notifications/roots/list_changed.
+ * @param {McpSession} session - MCP session
+ * @param {Function} [send] - Channel to send roots/list on
+ * @returns {Promise<Array<{uri: string, name?: string}>>} Never rejects
+ */
+function fetchRoots(session, send) {
+  const version = session.rootsVersion;
+
+  const pending = session.request('roots/list', {}, { send, timeout: ROOTS_REQUEST_TIMEOUT })
+    .then((result) => {
+      const roots = normalizeRoots(result?.roots);
+      logger.debug('Client roots received', { clientId: session.id, count: roots.length });
+      return roots;
+    }, (error) => {
+      logger.warn('Failed to list client roots', { clientId: session.id, error: error.message });
+      return [];
+    })
+    .then((roots) => {
+      // A list_changed notification that arrived meanwhile makes this answer stale
+      if (session.rootsVersion === version) {
+        session.roots = roots;
+        session.rootsPromise = null;
+      }
+      return roots;
+    });
+
+  session.rootsPromise = pending;
+  return pending;
+}
+
+/**
+ * Get the session's current roots, asking the client if they are not cached.
+ * Concurrent callers share one roots/list request. Clients without the roots
+ * capability, or that fail to answer, have no roots.
+ * @param {McpSession} session - MCP session
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.send] - Channel to send roots/list on if a request is needed
+ * @param {AbortSignal} [options.signal] - Stops waiting (the shared request keeps running)
+ * @returns {Promise<Array<{uri: string, name?: string}>>}
+ */
+async function getRoots(session, { send, signal } = {}) {
+  if (!supportsRoots(session)) {
+    return [];
+  }
+  if (session.roots) {
+    return session.roots;
+  }
+
+  const pending = session.rootsPromise || fetchRoots(session, send);
+  if (!signal) {
+    return pending;
+  }
+
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    pending.then((roots) => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(roots);
+    });
+  });
+}
+
+/**
+ * Forget cached roots after notifications/roots/list_changed. They are
+ * fetched again the next time a handler asks for them.
+ * @param {McpSession} session - MCP session
+ */
+function invalidateRoots(session) {
+  session.roots = null;
+  session.rootsPromise = null;
+  session.rootsVersion++;
+}
+
+module.exports = {
+  getRoots,
+  invalidateRoots,
+  supportsRoots,
+};
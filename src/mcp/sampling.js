@@ -0,0 +1,107 @@
+/**
+ * MCP Sampling Helper
+ * Builds the sample() callback handed to tool handlers. Completions are
+ * requested from the session's client (sampling/createMessage) when it
+ * declared the sampling capability, otherwise from the server's providers.
+ */
+const { providerManager } = require('../providers');
+const logger = require('../utils/logger');
+
+/**
+ * Normalize sampling messages to MCP shape ({ role, content: { type, text } })
+ * @param {Array} messages - Messages with string or content-object content
+ * @returns {Array} MCP sampling messages
+ * @throws {Error} With statusCode 400 if there are no messages
+ */
+function normalizeMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    const error = new Error('Invalid params: messages array required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return messages.map(m => ({
+    role: m.role || 'user',
+    content: typeof m.content === 'string' ? { type: 'text', text: m.content } : m.content,
+  }));
+}
+
+/**
+ * Ask the session's client for a completion
+ * @param {McpSession} session - Session whose client samples
+ * @param {Function} send - Request channel (reaches the client while the tool call is open)
+ * @param {Object} request - sampling/createMessage params
+ * @param {Object} options - { signal, timeout }
+ * @returns {Promise<Object>} Client's CreateMessageResult
+ */
+async function sampleFromClient(session, send, request, { signal, timeout }) {
+  const result = await session.request('sampling/createMessage', request, { send, signal, timeout });
+  return { ...result, source: 'client' };
+}
+
+/**
+ * Get a completion from the server's own providers
+ * @param {Object} request - sampling/createMessage params
+ * @param {Object} options - { signal, provider }
+ * @returns {Promise<Object>} CreateMessageResult-shaped result
+ */
+async function sampleFromServer(request, { signal, provider }) {
+  const hint = request.modelPreferences?.hints?.[0];
+  const providerName = provider || hint?.provider;
+
+  const messages = request.messages.map(m => ({
+    role: m.role,
+    content: m.content?.text ?? '',
+  }));
+  if (request.systemPrompt) {
+    messages.unshift({ role: 'system', content: request.systemPrompt });
+  }
+
+  const response = await providerManager.chat(messages, {
+    provider: providerName,
+    model: hint?.name,
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    signal,
+  });
+
+  return {
+    role: 'assistant',
+    content: { type: 'text', text: response.content },
+    model: response.model,
+    stopReason: 'endTurn',
+    source: 'server',
+  };
+}
+
+/**
+ * Create the sample() helper for a request
+ * Without a session (e.g. REST calls) sampling always uses the server's providers.
+ * Errors and refusals from the client are thrown, not replaced by a server completion.
+ * @param {Object} options - Sampler options
+ * @param {McpSession} [options.session] - Session the request arrived on
+ * @param {Function} [options.send] - Sends messages on the request's channel
+ * @param {AbortSignal} [options.signal] - Aborted when the request is cancelled
+ * @returns {Function} sample({ messages, systemPrompt, maxTokens, temperature, modelPreferences,
+ *   stopSequences, includeContext, metadata, provider, timeout }) resolving to
+ *   { role, content, model, stopReason, source: 'client' | 'server' }
+ */
+function createSampler({ session, send, signal } = {}) {
+  return async (options = {}) => {
+    const { provider, timeout, ...params } = options;
+    const request = {
+      ...params,
+      messages: normalizeMessages(params.messages),
+      maxTokens: params.maxTokens || 1024,
+    };
+
+    if (session?.clientCapabilities?.sampling) {
+      logger.debug('Requesting sampling from client', { clientId: session.id });
+      return sampleFromClient(session, send, request, { signal, timeout });
+    }
+
+    return sampleFromServer(request, { signal, provider });
+  };
+}
+
+module.exports = { createSampler };
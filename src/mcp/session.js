@@ -0,0 +1,339 @@
+/**
+ * MCP Session Manager
+ * Tracks connected MCP clients independently of the transport they use
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { DEFAULT_PROTOCOL_VERSION, supportsFeature } = require('./protocol');
+const { CancellationRegistry } = require('../utils/cancellation');
+const { ReplayBuffer } = require('./replayBuffer');
+
+/**
+ * Default time to wait for the client to answer a server-initiated request
+ */
+const DEFAULT_CLIENT_REQUEST_TIMEOUT = 60000;
+
+/**
+ * @class McpSession
+ * A single client session bound to one API key and one transport
+ */
+class McpSession {
+  /**
+   * @param {Object} options - Session options
+   * @param {string} options.transport - Transport name (websocket, streamable-http, ...)
+   * @param {Object} options.apiKeyData - Validated API key data
+   * @param {Function} [options.send] - Delivers a JSON-RPC message to the client
+   */
+  constructor({ transport, apiKeyData, send }) {
+    this.id = uuidv4();
+    this.transport = transport;
+    this.apiKeyData = apiKeyData;
+    this.initialized = false;
+    this.protocolVersion = DEFAULT_PROTOCOL_VERSION;
+    this.clientInfo = null;
+    this.clientCapabilities = {};
+    this.logLevel = null;
+    this.roots = null;
+    this.rootsPromise = null;
+    this.rootsVersion = 0;
+    this.createdAt = Date.now();
+    this.lastActivityAt = this.createdAt;
+    this.closed = false;
+    this.requests = new CancellationRegistry();
+    this.resourceSubscriptions = new Set();
+    this.replay = null;
+    this._send = send || null;
+    this._closeHandlers = [];
+    this._pendingRequests = new Map();
+    this._nextRequestId = 1;
+  }
+
+  /**
+   * Send a JSON-RPC message to the client over the session's outbound channel
+   * @param {Object} message - JSON-RPC message
+   * @returns {boolean} False if the session currently has no outbound channel
+   */
+  send(message) {
+    if (this.closed) {
+      return false;
+    }
+    if (this.replay) {
+      if (this._send && this._send(message) !== false) {
+        this.replay.skip();
+      } else {
+        this.replay.push(message);
+      }
+      return true;
+    }
+    if (!this._send) {
+      return false;
+    }
+    this._send(message);
+    return true;
+  }
+
+  /**
+   * Number outgoing messages so a reconnecting client can replay them. While
+   * replay is enabled, messages that cannot be delivered (no outbound channel,
+   * or the sender returns false) are kept for the client instead of being dropped.
+   * @param {Object} options - ReplayBuffer limits (maxEvents, maxBytes)
+   */
+  enableReplay(options) {
+    this.replay = new ReplayBuffer(options);
+  }
+
+  /**
+   * Send a server-initiated JSON-RPC request to the client and wait for its response
+   * @param {string} method - Request method
+   * @param {Object} [params] - Request parameters
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Milliseconds to wait for the response
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.send] - Channel to send the request on; defaults to the session channel.
+   *   Returning false means the message could not be delivered.
+   * @returns {Promise<*>} The response result
+   * @throws {Error} The client's JSON-RPC error (with code and data), or statusCode 503/504
+   *   when the request cannot be delivered or times out
+   */
+  request(method, params, { timeout = DEFAULT_CLIENT_REQUEST_TIMEOUT, signal, send } = {}) {
+    const deliver = send || ((message) => this.send(message));
+    const id = `server-${this._nextRequestId++}`;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(signal.reason);
+      }
+
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this._pendingRequests.delete(id);
+        callback(value);
+      };
+
+      const abandon = (error, reason) => {
+        this.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: id, reason } });
+        settle(reject, error);
+      };
+
+      const onAbort = () => abandon(signal.reason, 'Request cancelled');
+
+      const timer = setTimeout(() => {
+        const error = new Error(`Client did not respond to ${method} within ${timeout}ms`);
+        error.statusCode = 504;
+        abandon(error, 'Request timed out');
+      }, timeout);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this._pendingRequests.set(id, {
+        method,
+        resolve: (result) => settle(resolve, result),
+        reject: (error) => settle(reject, error),
+      });
+
+      if (this.closed || deliver({ jsonrpc: '2.0', id, method, params }) === false) {
+        const error = new Error(`Cannot send ${method}: client is not connected`);
+        error.statusCode = 503;
+        settle(reject, error);
+      }
+    });
+  }
+
+  /**
+   * Resolve a pending server-initiated request with the client's response
+   * @param {Object} message - JSON-RPC response (result or error)
+   * @returns {boolean} False if no pending request has the response's ID
+   */
+  handleResponse(message) {
+    const pending = this._pendingRequests.get(message.id);
+    if (!pending) {
+      return false;
+    }
+
+    if (message.error) {
+      const error = new Error(message.error.message || `${pending.method} failed`);
+      error.code = message.error.code;
+      error.data = message.error.data;
+      error.statusCode = 502;
+      pending.reject(error);
+    } else {
+      pending.resolve(message.result);
+    }
+    return true;
+  }
+
+  /**
+   * Replace the outbound channel (e.g. when an SSE stream attaches or detaches)
+   * @param {Function|null} send - Message sender or null to detach
+   */
+  setSender(send) {
+    this._send = send || null;
+  }
+
+  /**
+   * Check whether messages sent now reach the client (directly or by replay)
+   * @returns {boolean}
+   */
+  get canSend() {
+    return (!!this._send || !!this.replay) && !this.closed;
+  }
+
+  /**
+   * Check whether the session's negotiated protocol version includes a feature
+   * @param {string} feature - Feature name from PROTOCOL_FEATURES
+   * @returns {boolean}
+   */
+  supports(feature) {
+    return supportsFeature(this.protocolVersion, feature);
+  }
+
+  /**
+   * Check whether the session was opened with the given API key
+   * @param {Object} apiKeyData - Validated API key data
+   * @returns {boolean}
+   */
+  belongsTo(apiKeyData) {
+    return !!apiKeyData && this.apiKeyData?.id === apiKeyData.id;
+  }
+
+  /**
+   * Record client activity
+   */
+  touch() {
+    this.lastActivityAt = Date.now();
+  }
+
+  /**
+   * Register a handler to run when the session closes
+   * @param {Function} handler - Close handler
+   */
+  onClose(handler) {
+    this._closeHandlers.push(handler);
+  }
+
+  /**
+   * Close the session and run close handlers
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this._send = null;
+    this.requests.cancelAll('Session closed');
+    this.resourceSubscriptions.clear();
+
+    for (const pending of this._pendingRequests.values()) {
+      const error = new Error(`Session closed before the client answered ${pending.method}`);
+      error.statusCode = 503;
+      pending.reject(error);
+    }
+
+    for (const handler of this._closeHandlers) {
+      try {
+        handler(this);
+      } catch (error) {
+        logger.warn('Session close handler failed', { sessionId: this.id, error: error.message });
+      }
+    }
+    this._closeHandlers = [];
+  }
+}
+
+/**
+ * @class SessionManager
+ * Registry of active MCP sessions across all transports
+ */
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Create and track a new session
+   * @param {Object} options - McpSession options
+   * @returns {McpSession}
+   */
+  create(options) {
+    const session = new McpSession(options);
+    this.sessions.set(session.id, session);
+    logger.debug('MCP session created', { sessionId: session.id, transport: session.transport });
+    return session;
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} id - Session ID
+   * @returns {McpSession|undefined}
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Check if a session exists
+   * @param {string} id - Session ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.sessions.has(id);
+  }
+
+  /**
+   * Close and forget a session
+   * @param {string} id - Session ID
+   * @returns {boolean} True if the session existed
+   */
+  remove(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    this.sessions.delete(id);
+    session.close();
+    logger.debug('MCP session closed', { sessionId: id, transport: session.transport });
+    return true;
+  }
+
+  /**
+   * List active sessions, optionally filtered by transport
+   * @param {string} [transport] - Transport name
+   * @returns {McpSession[]}
+   */
+  list(transport) {
+    const sessions = Array.from(this.sessions.values());
+    return transport ? sessions.filter(s => s.transport === transport) : sessions;
+  }
+
+  /**
+   * Close sessions of a transport that have been idle for too long
+   * @param {string} transport - Transport name
+   * @param {number} maxIdleMs - Maximum idle time in milliseconds
+   * @returns {number} Number of sessions closed
+   */
+  pruneIdle(transport, maxIdleMs) {
+    const cutoff = Date.now() - maxIdleMs;
+    let pruned = 0;
+
+    for (const session of this.list(transport)) {
+      if (session.lastActivityAt < cutoff) {
+        this.remove(session.id);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      logger.info('Idle MCP sessions closed', { transport, count: pruned });
+    }
+    return pruned;
+  }
+
+  /**
+   * Get count of active sessions
+   * @returns {number}
+   */
+  get count() {
+    return this.sessions.size;
+  }
+}
+
+const sessionManager = new SessionManager();
+
+module.exports = { McpSession, SessionManager, sessionManager };
@@ -0,0 +1,65 @@
+/**
+ * Structured Tool Output
+ * Builds tool results that carry structuredContent next to their text,
+ * and checks results against a tool's outputSchema
+ */
+const { validateSchema, formatSchemaErrors } = require('../utils/jsonSchema');
+
+/**
+ * Create a tool result with structured content
+ * @param {Object} data - Structured result (must match the tool's outputSchema)
+ * @param {Object} [options] - Result options
+ * @param {string} [options.text] - Text content; defaults to the JSON-serialized data
+ *   for clients that do not read structuredContent
+ * @param {Object} [options.metadata] - Additional metadata
+ * @returns {Object} MCP tool result
+ */
+function structuredResult(data, { text, metadata } = {}) {
+  return {
+    content: [{ type: 'text', text: text ?? JSON.stringify(data, null, 2) }],
+    structuredContent: data,
+    ...(metadata && Object.keys(metadata).length > 0 && { metadata }),
+  };
+}
+
+/**
+ * Check a tool result against the tool's outputSchema.
+ * Error results are returned as they are. A result with structuredContent but no
+ * content gets a text block with the serialized data.
+ * @param {Object} tool - Tool definition
+ * @param {Object} result - Result returned by the handler
+ * @returns {Object} Result to send to the client
+ * @throws {Error} With statusCode 500 if the result does not match the outputSchema
+ */
+function checkStructuredResult(tool, result) {
+  if (!result || typeof result !== 'object' || result.isError) {
+    return result;
+  }
+
+  if (tool.outputSchema) {
+    if (result.structuredContent === undefined) {
+      const error = new Error(`Tool ${tool.name} declares an outputSchema but returned no structuredContent`);
+      error.statusCode = 500;
+      throw error;
+    }
+
+    const errors = validateSchema(tool.outputSchema, result.structuredContent);
+    if (errors.length > 0) {
+      const error = new Error(`Tool ${tool.name} returned structuredContent that does not match its outputSchema: ${formatSchemaErrors(errors)}`);
+      error.statusCode = 500;
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  if (result.structuredContent !== undefined && !Array.isArray(result.content)) {
+    return {
+      ...result,
+      content: [{ type: 'text', text: JSON.stringify(result.structuredContent, null, 2) }],
+    };
+  }
+
+  return result;
+}
+
+module.exports = { structuredResult, checkStructuredResult };
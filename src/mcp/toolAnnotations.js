@@ -0,0 +1,128 @@
+/**
+ * MCP Tool Annotations
+ * Normalizes tool behavior hints, infers them for generated tools, and maps
+ * them to the scope a caller needs to run a tool
+ */
+const { hasScope } = require('../middleware/auth');
+const config = require('../config');
+
+/**
+ * Boolean behavior hints defined by the protocol
+ */
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+/**
+ * Scope required to run tools annotated as destructive
+ */
+const DESTRUCTIVE_TOOL_SCOPE = 'tools:destructive';
+
+/**
+ * Keep only known annotation fields with valid values
+ * @param {Object} [annotations] - Annotations as declared by a tool
+ * @returns {Object|undefined} Normalized annotations, or undefined if none are set
+ */
+function normalizeAnnotations(annotations) {
+  if (!annotations || typeof annotations !== 'object') {
+    return undefined;
+  }
+
+  const normalized = {};
+  if (typeof annotations.title === 'string' && annotations.title) {
+    normalized.title = annotations.title;
+  }
+  for (const hint of ANNOTATION_HINTS) {
+    if (typeof annotations[hint] === 'boolean') {
+      normalized[hint] = annotations[hint];
+    }
+  }
+
+  // A read-only tool cannot be destructive
+  if (normalized.readOnlyHint) {
+    delete normalized.destructiveHint;
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : undefined;
+}
+
+/**
+ * Infer annotations for generated handler code. Hints the code contradicts are
+ * corrected, so a generated tool cannot claim to be read-only (and be auto-approved)
+ * while making write requests.
+ * @param {string} handlerCode - Generated handler source
+ * @param {Object} [declared] - Annotations proposed by the generator
+ * @returns {Object} Annotations
+ */
+function inferAnnotations(handlerCode, declared) {
+  const annotations = normalizeAnnotations(declared) || {};
+  const code = String(handlerCode || '');
+
+  const usesNetwork = /\bfetch\s*\(/.test(code);
+  const writeMethod = code.match(/method\s*:\s*['"`](POST|PUT|PATCH|DELETE)['"`]/i)?.[1]?.toUpperCase();
+
+  if (usesNetwork) {
+    annotations.openWorldHint = true;
+  } else if (annotations.openWorldHint === undefined) {
+    annotations.openWorldHint = false;
+  }
+
+  if (writeMethod) {
+    annotations.readOnlyHint = false;
+    if (writeMethod === 'DELETE') {
+      annotations.destructiveHint = true;
+    }
+  } else if (annotations.readOnlyHint === undefined) {
+    annotations.readOnlyHint = true;
+  }
+
+  if (annotations.readOnlyHint) {
+    delete annotations.destructiveHint;
+    if (annotations.idempotentHint === undefined) {
+      annotations.idempotentHint = true;
+    }
+  }
+
+  return annotations;
+}
+
+/**
+ * Get the scope a caller needs to run a tool.
+ * Read-only tools that do not reach outside the server are auto-approved for callers
+ * that can read tools (unless TOOL_AUTO_APPROVE_READ_ONLY=false). Only tools explicitly
+ * annotated as destructive need the destructive scope.
+ * @param {Object} tool - Tool definition
+ * @returns {string} Required scope
+ */
+function getRequiredToolScope(tool) {
+  const annotations = tool?.annotations || {};
+
+  if (annotations.destructiveHint === true && !annotations.readOnlyHint) {
+    return DESTRUCTIVE_TOOL_SCOPE;
+  }
+  if (config.toolPolicy.autoApproveReadOnly && annotations.readOnlyHint === true && annotations.openWorldHint === false) {
+    return 'tools:read';
+  }
+  return 'tools:execute';
+}
+
+/**
+ * Check whether an API key may run a tool
+ * @param {Object} apiKeyData - Validated API key data
+ * @param {Object} tool - Tool definition
+ * @returns {{allowed: boolean, requiredScope: string}}
+ */
+function checkToolPermission(apiKeyData, tool) {
+  const requiredScope = getRequiredToolScope(tool);
+  return {
+    allowed: hasScope(apiKeyData?.scopes, requiredScope),
+    requiredScope,
+  };
+}
+
+module.exports = {
+  normalizeAnnotations,
+  inferAnnotations,
+  getRequiredToolScope,
+  checkToolPermission,
+  ANNOTATION_HINTS,
+  DESTRUCTIVE_TOOL_SCOPE,
+};
@@ -0,0 +1,33 @@
+/**
+ * Tool Argument Validation
+ * Checks tool call arguments against the tool's inputSchema before the tool runs
+ */
+const { validateSchema, applySchemaDefaults, formatSchemaErrors } = require('../utils/jsonSchema');
+
+/**
+ * Apply the inputSchema defaults to the arguments and validate the result
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Arguments sent by the caller
+ * @returns {Object} Arguments with defaults filled in
+ * @throws {Error} With statusCode 400 and validationErrors (every violating path)
+ *   if the arguments do not match the inputSchema
+ */
+function prepareToolArguments(tool, args) {
+  if (!tool.inputSchema) {
+    return args;
+  }
+
+  const prepared = applySchemaDefaults(tool.inputSchema, args);
+  const errors = validateSchema(tool.inputSchema, prepared);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid arguments for tool ${tool.name}: ${formatSchemaErrors(errors)}`);
+    error.statusCode = 400;
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return prepared;
+}
+
+module.exports = { prepareToolArguments };
@@ -0,0 +1,196 @@
+/**
+ * Tool Result Content
+ * Validates the content items of tool results (text, image, audio, embedded
+ * resources and resource links), enforces size limits, and moves items too
+ * large to inline into the result store, replacing them with resource links
+ */
+const config = require('../config');
+const { resultStore } = require('./resultStore');
+
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+
+const AUDIO_MIME_TYPES = [
+  'audio/wav',
+  'audio/x-wav',
+  'audio/mpeg',
+  'audio/ogg',
+  'audio/webm',
+  'audio/flac',
+  'audio/aac',
+  'audio/mp4',
+];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Create the error for content a tool should not have produced
+ * @param {number} index - Index of the content item
+ * @param {string} message - Problem description
+ * @returns {Error}
+ */
+function contentError(index, message) {
+  const error = new Error(`Invalid tool result content[${index}]: ${message}`);
+  error.statusCode = 500;
+  return error;
+}
+
+/**
+ * Check a base64 string and get the size of the data it encodes
+ * @param {*} data - Base64 data
+ * @param {number} index - Index of the content item
+ * @returns {number} Decoded size in bytes
+ */
+function decodedSize(data, index) {
+  if (typeof data !== 'string' || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+    throw contentError(index, 'data must be base64-encoded');
+  }
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return (data.length / 4) * 3 - padding;
+}
+
+/**
+ * Check a MIME type against an allow list
+ * @param {string} mimeType - MIME type
+ * @param {string[]} allowed - Allowed MIME types
+ * @param {number} index - Index of the content item
+ */
+function checkMimeType(mimeType, allowed, index) {
+  if (!allowed.includes(mimeType)) {
+    throw contentError(index, `unsupported mimeType ${mimeType}; allowed: ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Store an item in the result store and build the resource link replacing it
+ * @param {Object} stored - { mimeType, text | blob, size }
+ * @param {string} name - Link name
+ * @param {Object} options - { ownerId }
+ * @returns {Object} resource_link content item
+ */
+function linkToStored(stored, name, { ownerId }) {
+  const uri = resultStore.put({ ...stored, ownerId });
+  return {
+    type: 'resource_link',
+    uri,
+    name,
+    mimeType: stored.mimeType,
+    size: stored.size,
+    description: `Output too large to include inline (${stored.size} bytes); read it with resources/read`,
+  };
+}
+
+/**
+ * Validate one content item and replace it with a resource link if it is too large to inline
+ * @param {Object} item - Content item
+ * @param {number} index - Index of the content item
+ * @param {Object} options - { ownerId, maxInlineBytes, maxItemBytes }
+ * @returns {Object} Content item to send
+ */
+function processContentItem(item, index, options) {
+  const { maxInlineBytes, maxItemBytes } = options;
+
+  const checkSize = (size) => {
+    if (size > maxItemBytes) {
+      throw contentError(index, `${size} bytes exceeds the maximum of ${maxItemBytes} bytes`);
+    }
+    return size > maxInlineBytes;
+  };
+
+  switch (item?.type) {
+    case 'text': {
+      if (typeof item.text !== 'string') {
+        throw contentError(index, 'text must be a string');
+      }
+      const size = Buffer.byteLength(item.text);
+      if (checkSize(size)) {
+        return linkToStored({ mimeType: 'text/plain', text: item.text, size }, `content-${index}.txt`, options);
+      }
+      return item;
+    }
+
+    case 'image':
+    case 'audio': {
+      checkMimeType(item.mimeType, item.type === 'image' ? IMAGE_MIME_TYPES : AUDIO_MIME_TYPES, index);
+      const size = decodedSize(item.data, index);
+      if (checkSize(size)) {
+        return linkToStored({ mimeType: item.mimeType, blob: item.data, size }, `${item.type}-${index}`, options);
+      }
+      return item;
+    }
+
+    case 'resource': {
+      const resource = item.resource;
+      if (!resource || typeof resource.uri !== 'string' || !resource.uri) {
+        throw contentError(index, 'embedded resource must have a uri');
+      }
+      if (resource.mimeType !== undefined && (typeof resource.mimeType !== 'string' || !resource.mimeType.includes('/'))) {
+        throw contentError(index, `invalid mimeType ${resource.mimeType}`);
+      }
+
+      let size;
+      if (typeof resource.text === 'string') {
+        size = Buffer.byteLength(resource.text);
+      } else if (resource.blob !== undefined) {
+        size = decodedSize(resource.blob, index);
+      } else {
+        throw contentError(index, 'embedded resource must have text or blob');
+      }
+
+      if (checkSize(size)) {
+        return linkToStored({
+          mimeType: resource.mimeType || (resource.blob !== undefined ? 'application/octet-stream' : 'text/plain'),
+          text: resource.text,
+          blob: resource.blob,
+          size,
+        }, resource.uri, options);
+      }
+      return item;
+    }
+
+    case 'resource_link':
+      if (typeof item.uri !== 'string' || !item.uri) {
+        throw contentError(index, 'resource link must have a uri');
+      }
+      if (typeof item.name !== 'string' || !item.name) {
+        throw contentError(index, 'resource link must have a name');
+      }
+      return item;
+
+    default:
+      throw contentError(index, `unknown content type ${item?.type}`);
+  }
+}
+
+/**
+ * Validate the content of a tool result and move oversized items to the result store
+ * @param {Object} result - Tool result
+ * @param {Object} [options] - Processing options
+ * @param {string|number} [options.ownerId] - API key ID that may read stored items
+ * @param {number} [options.maxInlineBytes] - Largest item sent inline
+ * @param {number} [options.maxItemBytes] - Largest item accepted at all
+ * @returns {Object} Result with validated content
+ * @throws {Error} With statusCode 500 if an item is malformed, has a disallowed
+ *   MIME type or is larger than maxItemBytes
+ */
+function processToolContent(result, options = {}) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.content)) {
+    return result;
+  }
+
+  const settings = {
+    ownerId: options.ownerId,
+    maxInlineBytes: options.maxInlineBytes ?? config.toolResults.maxInlineBytes,
+    maxItemBytes: options.maxItemBytes ?? config.toolResults.maxItemBytes,
+  };
+
+  return {
+    ...result,
+    content: result.content.map((item, index) => processContentItem(item, index, settings)),
+  };
+}
+
+module.exports = {
+  processToolContent,
+  IMAGE_MIME_TYPES,
+  AUDIO_MIME_TYPES,
+};
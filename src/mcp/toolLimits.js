@@ -0,0 +1,205 @@
+/**
+ * Tool Execution Limits
+ * Enforces per-tool timeouts and concurrency limits. Calls over a tool's
+ * concurrency limit wait in a FIFO queue until a slot frees up.
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Create the error for a tool call that ran past its timeout
+ * @param {string} name - Tool name
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Error}
+ */
+function createTimeoutError(name, timeout) {
+  const error = new Error(`Tool ${name} timed out after ${timeout}ms`);
+  error.name = 'ToolTimeoutError';
+  error.statusCode = 504;
+  return error;
+}
+
+/**
+ * @class ToolLimiter
+ * Tracks in-flight and queued calls per tool
+ */
+class ToolLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.defaultTimeout - Timeout for tools that declare none (ms)
+   * @param {number} options.defaultMaxConcurrency - Concurrency limit for tools that declare none
+   * @param {number} options.maxQueueSize - Calls allowed to wait per tool
+   */
+  constructor({ defaultTimeout, defaultMaxConcurrency, maxQueueSize }) {
+    this.defaultTimeout = defaultTimeout;
+    this.defaultMaxConcurrency = defaultMaxConcurrency;
+    this.maxQueueSize = maxQueueSize;
+    this.tools = new Map();
+  }
+
+  /**
+   * Get the limits that apply to a tool
+   * @param {Object} tool - Tool definition
+   * @returns {{timeout: number, maxConcurrency: number}}
+   */
+  getLimits(tool) {
+    return {
+      timeout: tool.timeout || this.defaultTimeout,
+      maxConcurrency: tool.maxConcurrency || this.defaultMaxConcurrency,
+    };
+  }
+
+  /**
+   * Run a tool call within the tool's limits
+   * @param {Object} tool - Tool definition
+   * @param {AbortSignal} [signal] - Caller's cancellation signal
+   * @param {Function} run - Receives a signal that also aborts on timeout; returns a value or a promise
+   * @returns {Promise<*>} The result of run
+   * @throws {Error} With statusCode 504 on timeout, 503 when the queue is full,
+   *   or the caller's abort reason if cancelled while queued
+   */
+  async run(tool, signal, run) {
+    const { timeout, maxConcurrency } = this.getLimits(tool);
+
+    await this.acquire(tool.name, maxConcurrency, signal);
+    try {
+      return await this.runWithTimeout(tool.name, timeout, signal, run);
+    } finally {
+      this.release(tool.name);
+    }
+  }
+
+  /**
+   * Take a concurrency slot, waiting in the queue if none is free
+   * @param {string} name - Tool name
+   * @param {number} maxConcurrency - Concurrent calls allowed
+   * @param {AbortSignal} [signal] - Removes the call from the queue when aborted
+   * @returns {Promise<void>}
+   */
+  acquire(name, maxConcurrency, signal) {
+    signal?.throwIfAborted();
+
+    let state = this.tools.get(name);
+    if (!state) {
+      state = { inFlight: 0, queue: [] };
+      this.tools.set(name, state);
+    }
+
+    if (state.inFlight < maxConcurrency) {
+      state.inFlight++;
+      return Promise.resolve();
+    }
+
+    if (state.queue.length >= this.maxQueueSize) {
+      const error = new Error(`Tool ${name} is at capacity (${maxConcurrency} running, ${state.queue.length} queued)`);
+      error.statusCode = 503;
+      return Promise.reject(error);
+    }
+
+    logger.debug('Tool call queued', { name, inFlight: state.inFlight, queued: state.queue.length + 1 });
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+      };
+      const onAbort = () => {
+        state.queue.splice(state.queue.indexOf(waiter), 1);
+        this.prune(name);
+        reject(signal.reason);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      state.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Free a concurrency slot, handing it to the next queued call
+   * @param {string} name - Tool name
+   */
+  release(name) {
+    const state = this.tools.get(name);
+    if (!state) return;
+
+    const next = state.queue.shift();
+    if (next) {
+      next.resolve();
+      return;
+    }
+
+    state.inFlight--;
+    this.prune(name);
+  }
+
+  /**
+   * Forget a tool with nothing running or queued
+   * @param {string} name - Tool name
+   */
+  prune(name) {
+    const state = this.tools.get(name);
+    if (state && state.inFlight === 0 && state.queue.length === 0) {
+      this.tools.delete(name);
+    }
+  }
+
+  /**
+   * Run a call, failing it when the timeout passes. The signal given to run
+   * aborts on timeout so the handler can stop its work; the slot is freed
+   * either way.
+   * @param {string} name - Tool name
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {AbortSignal} [signal] - Caller's cancellation signal
+   * @param {Function} run - Receives the combined signal; returns a value or a promise
+   * @returns {Promise<*>}
+   */
+  async runWithTimeout(name, timeout, signal, run) {
+    const controller = new AbortController();
+    const combined = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = createTimeoutError(name, timeout);
+        logger.warn('Tool call timed out', { name, timeout });
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    // Handlers may return plain values or throw synchronously. One that ignores
+    // the signal may still settle after the timeout.
+    const running = Promise.resolve().then(() => run(combined));
+    running.catch(() => {});
+
+    try {
+      return await Promise.race([running, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get in-flight and queued call counts
+   * @returns {{inFlight: number, queued: number, byTool: Object}}
+   */
+  getStats() {
+    const byTool = {};
+    let inFlight = 0;
+    let queued = 0;
+
+    for (const [name, state] of this.tools) {
+      byTool[name] = { inFlight: state.inFlight, queued: state.queue.length };
+      inFlight += state.inFlight;
+      queued += state.queue.length;
+    }
+
+    return { inFlight, queued, byTool };
+  }
+}
+
+const toolLimiter = new ToolLimiter(config.toolLimits);
+
+module.exports = { ToolLimiter, toolLimiter };
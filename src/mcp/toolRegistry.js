@@ -1,11 +1,32 @@
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const { dynamicRegistry } = require('../evolution/registry');
 const { evolutionOrchestrator } = require('../evolution/orchestrator');
+const { isAbortError } = require('../utils/cancellation');
+const { createSampler } = require('./sampling');
+const { createElicitor } = require('./elicitation');
+const { normalizeAnnotations } = require('./toolAnnotations');
+const { checkStructuredResult } = require('./structuredOutput');
+const { processToolContent } = require('./toolContent');
+const { prepareToolArguments } = require('./toolArguments');
+const { compileSchemaPatterns } = require('../utils/jsonSchema');
+const { toolLimiter } = require('./toolLimits');
+const { resultCache } = require('./resultCache');
+const { parseToolReference, formatToolReference } = require('./toolVersions');
 
-class ToolRegistry {
+function withCacheMeta(result, cache) {
+  return { ...result, _meta: { ...result._meta, cache } };
+}
+
+class ToolRegistry extends EventEmitter {
   constructor() {
+    super();
     this.builtinTools = new Map();
+    this.builtinVersions = new Map();
+    this.pinnedVersions = new Map();
     this.autoEvolveEnabled = true;
+
+    dynamicRegistry.on('listChanged', () => this.emit('listChanged'));
   }
 
   async initialize() {
@@ -18,52 +39,138 @@ class ToolRegistry {
       throw new Error('Tool must have a name and handler');
     }
 
+    if (tool.outputSchema && tool.outputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name}: outputSchema must have type "object"`);
+    }
+
+    for (const limit of ['version', 'timeout', 'maxConcurrency']) {
+      if (tool[limit] !== undefined && !(Number.isInteger(tool[limit]) && tool[limit] > 0)) {
+        throw new Error(`Tool ${tool.name}: ${limit} must be a positive integer`);
+      }
+    }
+
+    for (const key of ['inputSchema', 'outputSchema']) {
+      try {
+        compileSchemaPatterns(tool[key]);
+      } catch (error) {
+        throw new Error(`Tool ${tool.name}: ${key} ${error.message}`);
+      }
+    }
+
+    if (tool.cache && !(Number.isInteger(tool.cache.ttl) && tool.cache.ttl > 0)) {
+      throw new Error(`Tool ${tool.name}: cache.ttl must be a positive integer`);
+    }
+
     const toolDef = {
       name: tool.name,
+      title: tool.title,
       description: tool.description || '',
       inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+      outputSchema: tool.outputSchema,
       handler: tool.handler,
       category: tool.category || 'general',
+      annotations: normalizeAnnotations(tool.annotations),
       requiresAuth: tool.requiresAuth !== false,
-      isBuiltin: true
+      timeout: tool.timeout,
+      maxConcurrency: tool.maxConcurrency,
+      cache: tool.cache,
+      version: tool.version || 1,
+      upstream: tool.upstream,
+      isBuiltin: !tool.upstream
     };
 
-    this.builtinTools.set(tool.name, toolDef);
-    logger.info(`Tool registered: ${tool.name}`);
+    if (!this.builtinVersions.has(tool.name)) {
+      this.builtinVersions.set(tool.name, new Map());
+    }
+    this.builtinVersions.get(tool.name).set(toolDef.version, toolDef);
+
+    // The highest registered version is active unless another one was activated
+    const active = this.builtinTools.get(tool.name);
+    const pinned = this.pinnedVersions.get(tool.name);
+    if (pinned ? toolDef.version === pinned : (!active || toolDef.version >= active.version)) {
+      this.builtinTools.set(tool.name, toolDef);
+    }
+
+    resultCache.flush(tool.name);
+    logger.info(`Tool registered: ${formatToolReference(tool.name, toolDef.version)}`);
+    this.emit('listChanged');
     return this;
   }
 
   unregister(name) {
-    if (this.builtinTools.delete(name)) {
+    if (this.builtinVersions.delete(name)) {
+      this.builtinTools.delete(name);
+      this.pinnedVersions.delete(name);
+      resultCache.flush(name);
       logger.info(`Tool unregistered: ${name}`);
+      this.emit('listChanged');
       return true;
     }
     return false;
   }
 
-  get(name) {
-    if (this.builtinTools.has(name)) {
-      return this.builtinTools.get(name);
+  get(reference) {
+    const { name, version } = parseToolReference(reference);
+
+    if (this.builtinVersions.has(name)) {
+      return (version ? this.builtinVersions.get(name).get(version) : this.builtinTools.get(name)) || null;
     }
     
-    if (dynamicRegistry.has(name)) {
-      return dynamicRegistry.get(name);
+    return dynamicRegistry.get(reference) || null;
+  }
+
+  has(reference) {
+    return !!this.get(reference);
+  }
+
+  listVersions(name) {
+    if (!this.builtinVersions.has(name)) {
+      return dynamicRegistry.listVersions(name);
     }
-    
-    return null;
+
+    const active = this.builtinTools.get(name);
+    return Array.from(this.builtinVersions.get(name).values())
+      .sort((a, b) => b.version - a.version)
+      .map(tool => ({
+        version: tool.version,
+        active: tool === active,
+        title: tool.title,
+        description: tool.description
+      }));
   }
 
-  has(name) {
-    return this.builtinTools.has(name) || dynamicRegistry.has(name);
+  // Generated tools store the active version; for built-in tools the pin is kept
+  // in memory only, so it does not survive a restart
+  async activateVersion(name, version) {
+    if (!this.builtinVersions.has(name)) {
+      return dynamicRegistry.activateVersion(name, version);
+    }
+
+    const tool = this.builtinVersions.get(name).get(version);
+    if (!tool) {
+      return null;
+    }
+
+    this.builtinTools.set(name, tool);
+    this.pinnedVersions.set(name, version);
+    logger.info(`Tool version activated: ${formatToolReference(name, version)}`);
+    this.emit('listChanged');
+    return tool;
   }
 
   list() {
     const builtinList = Array.from(this.builtinTools.values()).map(tool => ({
       name: tool.name,
+      title: tool.title,
       description: tool.description,
       inputSchema: tool.inputSchema,
+      outputSchema: tool.outputSchema,
+      annotations: tool.annotations,
       category: tool.category,
-      isBuiltin: true
+      version: tool.version,
+      versions: Array.from(this.builtinVersions.get(tool.name).keys()).sort((a, b) => a - b),
+      upstream: tool.upstream,
+      isBuiltin: tool.isBuiltin
     }));
 
     const generatedList = dynamicRegistry.list();
@@ -72,26 +179,62 @@ class ToolRegistry {
   }
 
   async execute(name, args, context = {}) {
-    if (this.builtinTools.has(name)) {
-      const tool = this.builtinTools.get(name);
-      logger.info(`Executing builtin tool: ${name}`, { args });
+    if (context.signal?.aborted) {
+      throw context.signal.reason;
+    }
+
+    if (!context.reportProgress) {
+      context = { ...context, reportProgress: () => {} };
+    }
+
+    if (!context.sample) {
+      context = { ...context, sample: createSampler({ signal: context.signal }) };
+    }
+
+    if (!context.elicit) {
+      context = { ...context, elicit: createElicitor({ signal: context.signal }), canElicit: false };
+    }
+
+    if (!context.getRoots) {
+      context = { ...context, getRoots: async () => [] };
+    }
+
+    const tool = this.get(name);
+
+    if (tool && !tool.isGenerated) {
+      args = prepareToolArguments(tool, args);
+
+      const cached = this.getCachedResult(tool, args, context);
+      if (cached) {
+        return cached;
+      }
+
+      logger.info(`Executing ${tool.upstream ? 'upstream' : 'builtin'} tool: ${name}`, { version: tool.version, args });
       
       try {
-        const result = await tool.handler(args, context);
+        const output = checkStructuredResult(tool, await toolLimiter.run(tool, context.signal,
+          signal => tool.handler(args, { ...context, signal })));
+        const result = processToolContent(
+          this.cacheResult(tool, args, output),
+          { ownerId: context.user?.id }
+        );
         logger.info(`Tool executed successfully: ${name}`);
         return result;
       } catch (error) {
-        logger.error(`Tool execution failed: ${name}`, { error: error.message });
+        if (!isAbortError(error)) {
+          logger.error(`Tool execution failed: ${name}`, { error: error.message });
+        }
         throw error;
       }
     }
 
-    if (dynamicRegistry.has(name)) {
-      logger.info(`Executing generated tool: ${name}`, { args });
-      return await dynamicRegistry.execute(name, args);
+    if (tool) {
+      return this.executeGenerated(tool, args, context);
     }
 
-    const shouldEvolve = context.autoEvolve !== false && this.autoEvolveEnabled;
+    // Only plain names can be evolved; a missing version of a known tool is an error
+    const shouldEvolve = context.autoEvolve !== false && this.autoEvolveEnabled &&
+      !parseToolReference(name).version;
     
     if (shouldEvolve) {
       logger.info(`Tool not found, triggering auto-evolution: ${name}`);
@@ -101,11 +244,85 @@ class ToolRegistry {
     throw new Error(`Tool not found: ${name}`);
   }
 
+  async executeGenerated(tool, args, context) {
+    args = prepareToolArguments(tool, args);
+
+    const cached = this.getCachedResult(tool, args, context);
+    if (cached) {
+      return cached;
+    }
+
+    logger.info(`Executing generated tool: ${tool.name}`, { version: tool.version, args });
+
+    const result = await toolLimiter.run(tool, context.signal,
+      signal => dynamicRegistry.execute(formatToolReference(tool.name, tool.version), args, { ...context, signal }));
+    return processToolContent(this.cacheResult(tool, args, result), { ownerId: context.user?.id });
+  }
+
+  getCachedResult(tool, args, context) {
+    if (!resultCache.isEnabled(tool)) {
+      return null;
+    }
+
+    const entry = resultCache.get(tool, args);
+    if (!entry) {
+      return null;
+    }
+
+    logger.info(`Tool result served from cache: ${tool.name}`);
+    return processToolContent(
+      withCacheMeta(entry.result, {
+        hit: true,
+        cachedAt: new Date(entry.cachedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      }),
+      { ownerId: context.user?.id }
+    );
+  }
+
+  cacheResult(tool, args, result) {
+    if (!resultCache.isEnabled(tool)) {
+      return result;
+    }
+
+    resultCache.set(tool, args, result);
+    return withCacheMeta(result, { hit: false });
+  }
+
   async evolveAndExecute(name, args, context = {}) {
     try {
+      let description = context.description;
+
+      if (!description && context.canElicit) {
+        const answer = await context.elicit(
+          `The tool "${name}" does not exist yet. Describe what it should do so it can be created.`,
+          {
+            type: 'object',
+            properties: {
+              description: { type: 'string', description: 'What the tool should do' },
+            },
+            required: ['description'],
+          }
+        );
+
+        if (answer.action === 'decline' || answer.action === 'cancel') {
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ error: 'Tool evolution cancelled by user', toolName: name }, null, 2)
+            }],
+            isError: true
+          };
+        }
+        description = answer.content?.description;
+      }
+
       const evolutionResult = await evolutionOrchestrator.evolve(name, {
-        description: context.description
+        description,
+        signal: context.signal,
+        reportProgress: context.reportProgress
       });
+      context.signal?.throwIfAborted();
 
       if (!evolutionResult.success) {
         return {
@@ -125,7 +342,12 @@ class ToolRegistry {
 
       await dynamicRegistry.registerTool(evolutionResult.tool);
 
-      const result = await dynamicRegistry.execute(name, args);
+      const tool = dynamicRegistry.get(evolutionResult.tool.name);
+      if (!tool) {
+        throw new Error(`Generated tool ${evolutionResult.tool.name} could not be registered`);
+      }
+
+      const result = await this.executeGenerated(tool, args, context);
 
       return {
         ...result,
@@ -136,6 +358,9 @@ class ToolRegistry {
         }
       };
     } catch (error) {
+      if (isAbortError(error) || error.validationErrors) {
+        throw error;
+      }
       logger.error(`Auto-evolution failed: ${name}`, { error: error.message });
       return {
         content: [{
@@ -158,7 +383,7 @@ class ToolRegistry {
         name: tool.name,
         description: tool.description,
         inputSchema: tool.inputSchema,
-        isBuiltin: true
+        isBuiltin: tool.isBuiltin
       }));
 
     const generated = dynamicRegistry.list()
@@ -173,17 +398,21 @@ class ToolRegistry {
   }
 
   getStats() {
-    const builtinCount = this.builtinTools.size;
+    const upstreamCount = Array.from(this.builtinTools.values()).filter(tool => tool.upstream).length;
+    const builtinCount = this.builtinTools.size - upstreamCount;
     const dynamicStats = dynamicRegistry.getStats();
 
     return {
       builtin: builtinCount,
+      upstream: upstreamCount,
       generated: dynamicStats.total,
-      total: builtinCount + dynamicStats.total,
+      total: builtinCount + upstreamCount + dynamicStats.total,
       byCategory: {
         ...dynamicStats.byCategory
       },
       bySource: dynamicStats.bySource,
+      execution: toolLimiter.getStats(),
+      cache: resultCache.getStats(),
       autoEvolveEnabled: this.autoEvolveEnabled
     };
   }
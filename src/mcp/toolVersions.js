@@ -0,0 +1,31 @@
+/**
+ * Tool Version References
+ * Tools are called by name (the active version) or as name@version
+ */
+
+const VERSION_REFERENCE = /^(.+)@([1-9]\d*)$/;
+
+/**
+ * Split a tool reference into its name and optional version
+ * @param {string} reference - Tool name or name@version
+ * @returns {{name: string, version: number|null}}
+ */
+function parseToolReference(reference) {
+  const match = VERSION_REFERENCE.exec(reference);
+  if (!match) {
+    return { name: reference, version: null };
+  }
+  return { name: match[1], version: parseInt(match[2], 10) };
+}
+
+/**
+ * Build the reference of one tool version
+ * @param {string} name - Tool name
+ * @param {number} version - Tool version
+ * @returns {string} name@version
+ */
+function formatToolReference(name, version) {
+  return `${name}@${version}`;
+}
+
+module.exports = { parseToolReference, formatToolReference };
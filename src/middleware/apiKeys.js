@@ -9,6 +9,7 @@ const DEMO_API_KEY = 'demo-api-key';
 const VALID_SCOPES = [
   'tools:read',
   'tools:execute',
+  'tools:destructive',
   'prompts:read',
   'prompts:write',
   'resources:read',
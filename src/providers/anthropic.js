@@ -43,6 +43,7 @@ class AnthropicProvider {
             content: m.content,
           })),
         }),
+        signal: options.signal,
       });
 
       if (!response.ok) {
@@ -100,6 +101,7 @@ class AnthropicProvider {
         })),
         stream: true,
       }),
+      signal: options.signal,
     });
 
     if (!response.ok) {
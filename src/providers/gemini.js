@@ -47,6 +47,7 @@ class GeminiProvider {
               temperature: options.temperature,
             },
           }),
+          signal: options.signal,
         }
       );
 
@@ -108,6 +109,7 @@ class GeminiProvider {
             maxOutputTokens: options.maxTokens || 8192,
           },
         }),
+        signal: options.signal,
       }
     );
 
@@ -110,6 +110,7 @@ class ProviderManager {
    * Send chat messages to a provider
    * @param {Array} messages - Chat messages
    * @param {Object} options - Chat options
+   * @param {AbortSignal} [options.signal] - Aborts the provider request
    * @returns {Promise<Object>} Chat response
    */
   async chat(messages, options = {}) {
@@ -117,6 +118,8 @@ class ProviderManager {
     const provider = this.getProvider(providerName);
     const startTime = Date.now();
     
+    options.signal?.throwIfAborted();
+    
     try {
       const result = await provider.chat(messages, options);
       const duration = Date.now() - startTime;
@@ -131,6 +134,11 @@ class ProviderManager {
     } catch (error) {
       const duration = Date.now() - startTime;
       
+      if (options.signal?.aborted) {
+        logger.debug('Provider chat cancelled', { provider: providerName, duration: `${duration}ms` });
+        throw options.signal.reason;
+      }
+      
       logger.error(`Provider ${providerName} chat error`, { 
         error: error.message,
         statusCode: error.statusCode,
@@ -149,6 +157,7 @@ class ProviderManager {
    * Stream chat messages from a provider
    * @param {Array} messages - Chat messages
    * @param {Object} options - Chat options
+   * @param {AbortSignal} [options.signal] - Aborts the provider stream
    * @yields {string} Chat content chunks
    */
   async *chatStream(messages, options = {}) {
@@ -159,9 +168,16 @@ class ProviderManager {
       throw new Error(`Provider ${providerName} does not support streaming`);
     }
     
+    options.signal?.throwIfAborted();
+    
     try {
       yield* provider.chatStream(messages, options);
     } catch (error) {
+      if (options.signal?.aborted) {
+        logger.debug('Provider stream cancelled', { provider: providerName });
+        throw options.signal.reason;
+      }
+      
       logger.error(`Provider ${providerName} stream error`, { 
         error: error.message,
         statusCode: error.statusCode,
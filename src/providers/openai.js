@@ -41,7 +41,7 @@ class OpenAIProvider {
         max_completion_tokens: options.maxTokens || 8192,
         temperature: model.startsWith('gpt-5') ? undefined : options.temperature,
         stream: options.stream || false,
-      });
+      }, { signal: options.signal });
 
       if (options.stream) {
         return response;
@@ -70,7 +70,7 @@ class OpenAIProvider {
       messages,
       max_completion_tokens: options.maxTokens || 8192,
       stream: true,
-    });
+    }, { signal: options.signal });
 
     for await (const chunk of stream) {
       const content = chunk.choices[0]?.delta?.content || '';
@@ -85,7 +85,7 @@ class OpenAIProvider {
       model: 'gpt-image-1',
       prompt,
       size: options.size || '1024x1024',
-    });
+    }, { signal: options.signal });
 
     return {
       b64_json: response.data[0]?.b64_json,
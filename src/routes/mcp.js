@@ -1,19 +1,89 @@
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const { registry } = require('../mcp/toolRegistry');
 const { promptRegistry } = require('../mcp/promptRegistry');
 const { resourceRegistry } = require('../mcp/resourceRegistry');
-const { requireScope } = require('../middleware/auth');
+const { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } = require('../mcp/protocol');
+const { requireScope, requireAnyScope } = require('../middleware/auth');
+const { getRequiredToolScope } = require('../mcp/toolAnnotations');
+const { paginate } = require('../utils/pagination');
+const { CancellationRegistry, isAbortError, CANCELLED_STATUS_CODE } = require('../utils/cancellation');
 const logger = require('../utils/logger');
 const { webhookManager } = require('../utils/webhooks');
 
 const router = express.Router();
+const activeRequests = new CancellationRegistry();
 
-router.get('/tools', requireScope('tools:read'), (req, res) => {
-  const tools = registry.list();
-  res.json({
-    tools,
-    count: tools.length,
+/**
+ * Make a long-running request cancellable via POST /requests/:requestId/cancel
+ * Uses the client's X-Request-Id or generates one, and aborts if the client disconnects.
+ * An X-Request-Id already in flight for the same API key is rejected with 409.
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function trackCancellation(req, res, next) {
+  const requestId = req.get('x-request-id') || uuidv4();
+  const key = `${req.apiKeyData?.id}:${requestId}`;
+  if (activeRequests.has(key)) {
+    return res.status(409).json({ error: 'A request with this X-Request-Id is already in progress', requestId });
+  }
+  const controller = activeRequests.register(key);
+  
+  req.requestId = requestId;
+  req.signal = controller.signal;
+  res.set('X-Request-Id', requestId);
+  
+  res.on('close', () => {
+    if (res.writableFinished) {
+      activeRequests.release(key, controller);
+    } else {
+      activeRequests.cancel(key, 'Client disconnected');
+    }
+  });
+  
+  next();
+}
+
+/**
+ * Send the response for a cancelled request (if the client is still listening)
+ * @param {express.Response} res - Express response
+ * @param {string} requestId - Cancelled request ID
+ */
+function sendCancelled(res, requestId) {
+  if (res.writableEnded || res.destroyed) return;
+  res.status(CANCELLED_STATUS_CODE).json({
+    error: 'Request cancelled',
+    requestId,
+    statusCode: CANCELLED_STATUS_CODE,
+    isError: true,
   });
+}
+
+/**
+ * Send one page of a list as JSON, or 400 for a bad cursor
+ * @param {express.Request} req - Express request (cursor and limit query params)
+ * @param {express.Response} res - Express response
+ * @param {string} field - Response field holding the items
+ * @param {Array} items - All items
+ * @param {Function} [getKey] - Unique sort key of an item
+ */
+function sendPage(req, res, field, items, getKey) {
+  try {
+    const page = paginate(items, { cursor: req.query.cursor, pageSize: req.query.limit, getKey });
+    res.json({
+      [field]: page.items,
+      count: page.items.length,
+      total: items.length,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+}
+
+router.get('/tools', requireScope('tools:read'), (req, res) => {
+  sendPage(req, res, 'tools', registry.list());
 });
 
 router.get('/tools/:name', requireScope('tools:read'), (req, res) => {
@@ -24,13 +94,29 @@ router.get('/tools/:name', requireScope('tools:read'), (req, res) => {
   
   res.json({
     name: tool.name,
+    title: tool.title,
     description: tool.description,
     inputSchema: tool.inputSchema,
+    outputSchema: tool.outputSchema,
+    annotations: tool.annotations,
     category: tool.category,
   });
 });
 
-router.post('/tools/call', requireScope('tools:execute'), async (req, res) => {
+/**
+ * Require the scope a tool's annotations call for (see getRequiredToolScope).
+ * Unknown tools may trigger auto-evolution, which needs tools:execute.
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireToolPermission(req, res, next) {
+  const tool = req.body?.name ? registry.get(req.body.name) : null;
+  const scope = tool ? getRequiredToolScope(tool) : 'tools:execute';
+  return requireScope(scope)(req, res, next);
+}
+
+router.post('/tools/call', requireToolPermission, trackCancellation, async (req, res) => {
   const { name, arguments: args, autoEvolve = false } = req.body;
   
   if (!name) {
@@ -40,7 +126,8 @@ router.post('/tools/call', requireScope('tools:execute'), async (req, res) => {
   try {
     const result = await registry.execute(name, args || {}, {
       user: req.apiKeyData,
-      requestId: req.headers['x-request-id'],
+      requestId: req.requestId,
+      signal: req.signal,
       description: req.body.description,
       autoEvolve
     });
@@ -67,6 +154,11 @@ router.post('/tools/call', requireScope('tools:execute'), async (req, res) => {
     
     res.json(result);
   } catch (error) {
+    if (isAbortError(error)) {
+      logger.info('Tool call cancelled', { name, requestId: req.requestId, reason: error.message });
+      return sendCancelled(res, req.requestId);
+    }
+    
     logger.error('Tool call failed', { name, error: error.message, statusCode: error.statusCode });
     
     webhookManager.trigger('tool.failed', {
@@ -80,6 +172,7 @@ router.post('/tools/call', requireScope('tools:execute'), async (req, res) => {
     res.status(statusCode).json({
       error: error.message,
       statusCode,
+      ...(statusCode === 400 && error.validationErrors && { validationErrors: error.validationErrors }),
       isError: true,
     });
   }
@@ -91,11 +184,7 @@ router.get('/tools/stats', requireScope('tools:read'), (req, res) => {
 });
 
 router.get('/prompts', requireScope('prompts:read'), (req, res) => {
-  const prompts = promptRegistry.list();
-  res.json({
-    prompts,
-    count: prompts.length,
-  });
+  sendPage(req, res, 'prompts', promptRegistry.list());
 });
 
 router.get('/prompts/:name', requireScope('prompts:read'), (req, res) => {
@@ -107,7 +196,7 @@ router.get('/prompts/:name', requireScope('prompts:read'), (req, res) => {
   res.json(prompt);
 });
 
-router.post('/prompts/get', requireScope('prompts:read'), (req, res) => {
+router.post('/prompts/get', requireScope('prompts:read'), async (req, res) => {
   const { name, arguments: args } = req.body;
   
   if (!name) {
@@ -115,19 +204,21 @@ router.post('/prompts/get', requireScope('prompts:read'), (req, res) => {
   }
   
   try {
-    const result = promptRegistry.render(name, args || {});
+    const result = await promptRegistry.render(name, args || {}, {
+      user: req.apiKeyData,
+    });
     res.json(result);
   } catch (error) {
-    res.status(404).json({ error: error.message });
+    res.status(error.statusCode || 404).json({ error: error.message });
   }
 });
 
 router.get('/resources', requireScope('resources:read'), (req, res) => {
-  const resources = resourceRegistry.list();
-  res.json({
-    resources,
-    count: resources.length,
-  });
+  sendPage(req, res, 'resources', resourceRegistry.list(), r => r.uri);
+});
+
+router.get('/resources/templates', requireScope('resources:read'), (req, res) => {
+  sendPage(req, res, 'resourceTemplates', resourceRegistry.listTemplates(), t => t.uriTemplate);
 });
 
 router.post('/resources/read', requireScope('resources:read'), async (req, res) => {
@@ -143,19 +234,21 @@ router.post('/resources/read', requireScope('resources:read'), async (req, res)
     });
     res.json(result);
   } catch (error) {
-    res.status(404).json({ error: error.message });
+    res.status(error.statusCode || 404).json({ error: error.message });
   }
 });
 
 router.get('/capabilities', (req, res) => {
   res.json({
-    protocolVersion: '2024-11-05',
+    protocolVersion: LATEST_PROTOCOL_VERSION,
+    supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
     capabilities: {
       tools: { listChanged: true },
       prompts: { listChanged: true },
-      resources: { subscribe: false, listChanged: true },
+      resources: { subscribe: true, listChanged: true },
       sampling: {},
       logging: {},
+      completions: {},
     },
     serverInfo: {
       name: 'SPURS MCP Server',
@@ -164,7 +257,7 @@ router.get('/capabilities', (req, res) => {
   });
 });
 
-router.post('/sampling/create', requireScope('sampling'), async (req, res) => {
+router.post('/sampling/create', requireScope('sampling'), trackCancellation, async (req, res) => {
   const { messages, provider = 'openai', model, max_tokens } = req.body;
   
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -181,6 +274,7 @@ router.post('/sampling/create', requireScope('sampling'), async (req, res) => {
       provider,
       model,
       maxTokens: max_tokens,
+      signal: req.signal,
     });
     
     res.json({
@@ -191,6 +285,11 @@ router.post('/sampling/create', requireScope('sampling'), async (req, res) => {
       usage: response.usage,
     });
   } catch (error) {
+    if (isAbortError(error)) {
+      logger.info('Sampling cancelled', { provider, requestId: req.requestId, reason: error.message });
+      return sendCancelled(res, req.requestId);
+    }
+    
     logger.error('Sampling failed', { provider, error: error.message, statusCode: error.statusCode });
     
     const statusCode = error.statusCode || 500;
@@ -203,4 +302,16 @@ router.post('/sampling/create', requireScope('sampling'), async (req, res) => {
   }
 });
 
+router.post('/requests/:requestId/cancel', requireAnyScope(['tools:execute', 'sampling', 'sampling:create']), (req, res) => {
+  const { requestId } = req.params;
+  const reason = req.body?.reason || 'Cancelled by client';
+  
+  if (!activeRequests.cancel(`${req.apiKeyData?.id}:${requestId}`, reason)) {
+    return res.status(404).json({ error: 'No active request with this ID', requestId });
+  }
+  
+  logger.info('REST request cancelled', { requestId, reason, keyId: req.apiKeyData?.id });
+  res.json({ requestId, cancelled: true, reason });
+});
+
 module.exports = router;
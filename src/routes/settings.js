@@ -5,6 +5,8 @@ const { listApiKeys, addApiKey, removeApiKey, updateApiKey } = require('../middl
 const { storage } = require('../../server/storage');
 const logger = require('../utils/logger');
 const { webhookManager, WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { LATEST_PROTOCOL_VERSION } = require('../mcp/protocol');
+const { resultCache } = require('../mcp/resultCache');
 
 const router = express.Router();
 
@@ -120,7 +122,7 @@ router.get('/server', requireScope('settings:read'), async (req, res) => {
     res.json({
       name: 'SPURS MCP Server',
       version: '1.0.0',
-      protocol: 'MCP 2024-11-05',
+      protocol: `MCP ${LATEST_PROTOCOL_VERSION}`,
       environment: process.env.NODE_ENV || 'development',
       uptime: process.uptime(),
       settings: {
@@ -132,7 +134,7 @@ router.get('/server', requireScope('settings:read'), async (req, res) => {
     res.json({
       name: 'SPURS MCP Server',
       version: '1.0.0',
-      protocol: 'MCP 2024-11-05',
+      protocol: `MCP ${LATEST_PROTOCOL_VERSION}`,
       environment: process.env.NODE_ENV || 'development',
       uptime: process.uptime(),
       settings: {
@@ -181,6 +183,7 @@ router.get('/stats', requireScope('settings:read'), async (req, res) => {
     prompts: promptRegistry.list().length,
     resources: resourceRegistry.list().length,
     providers: providerManager.listProviders().length,
+    execution: registry.getStats().execution,
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     timestamp: new Date().toISOString()
@@ -351,6 +354,9 @@ router.get('/generated-tools', requireScope('settings:read'), async (req, res) =
         version: t.version,
         status: t.status,
         usageCount: t.usageCount,
+        timeoutMs: t.timeoutMs,
+        maxConcurrency: t.maxConcurrency,
+        cacheTtlMs: t.cacheTtlMs,
         createdAt: t.createdAt,
         updatedAt: t.updatedAt
       })),
@@ -391,17 +397,140 @@ router.delete('/generated-tools/:id', requireScope('settings:write'), async (req
     }
     
     const { dynamicRegistry } = require('../evolution/registry');
-    await dynamicRegistry.unregisterTool(result.name);
+    await dynamicRegistry.unregisterTool(result.name, result.version);
     
-    await storage.logActivity('generated_tool', 'disabled', { id: parseInt(id), name: result.name }, null, req.ip);
+    await storage.logActivity('generated_tool', 'disabled', {
+      id: parseInt(id),
+      name: result.name,
+      version: result.version,
+      activatedVersion: result.activatedVersion,
+    }, null, req.ip);
     
-    res.json({ success: true, message: 'Generated tool disabled' });
+    res.json({
+      success: true,
+      message: 'Generated tool disabled',
+      activeVersion: dynamicRegistry.get(result.name)?.version || null,
+    });
   } catch (error) {
     logger.error('Failed to disable generated tool', { error: error.message });
     res.status(500).json({ error: 'Failed to disable generated tool' });
   }
 });
 
+router.patch('/generated-tools/:id/limits', requireScope('settings:write'), async (req, res) => {
+  const { id } = req.params;
+  const updates = {};
+  
+  for (const field of ['timeoutMs', 'maxConcurrency', 'cacheTtlMs']) {
+    const value = req.body?.[field];
+    if (value === undefined) continue;
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return res.status(400).json({ error: `${field} must be a positive integer or null` });
+    }
+    updates[field] = value;
+  }
+  
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'timeoutMs, maxConcurrency or cacheTtlMs is required' });
+  }
+  
+  try {
+    const tool = await storage.updateGeneratedTool(parseInt(id), updates);
+    if (!tool) {
+      return res.status(404).json({ error: 'Generated tool not found' });
+    }
+    
+    if (tool.status !== 'disabled') {
+      const { dynamicRegistry } = require('../evolution/registry');
+      await dynamicRegistry.registerTool(tool);
+    }
+    resultCache.flush(tool.name);
+    
+    await storage.logActivity('generated_tool', 'limits_updated', { id: tool.id, name: tool.name, ...updates }, null, req.ip);
+    
+    res.json({
+      success: true,
+      timeoutMs: tool.timeoutMs,
+      maxConcurrency: tool.maxConcurrency,
+      cacheTtlMs: tool.cacheTtlMs
+    });
+  } catch (error) {
+    logger.error('Failed to update generated tool limits', { error: error.message });
+    res.status(500).json({ error: 'Failed to update generated tool limits' });
+  }
+});
+
+router.post('/generated-tools/reload', requireScope('settings:write'), async (req, res) => {
+  const { registry } = require('../mcp/toolRegistry');
+  
+  try {
+    await registry.reloadGeneratedTools();
+    const stats = registry.getStats();
+    
+    await storage.logActivity('generated_tool', 'reloaded', { count: stats.generated }, null, req.ip);
+    
+    res.json({ success: true, count: stats.generated });
+  } catch (error) {
+    logger.error('Failed to reload generated tools', { error: error.message });
+    res.status(500).json({ error: 'Failed to reload generated tools' });
+  }
+});
+
+router.get('/tools/:name/versions', requireScope('settings:read'), (req, res) => {
+  const { registry } = require('../mcp/toolRegistry');
+  const versions = registry.listVersions(req.params.name);
+  
+  if (versions.length === 0) {
+    return res.status(404).json({ error: 'Tool not found' });
+  }
+  
+  res.json({ name: req.params.name, versions });
+});
+
+router.post('/tools/:name/versions/:version/activate', requireScope('settings:write'), async (req, res) => {
+  const { registry } = require('../mcp/toolRegistry');
+  const { name } = req.params;
+  const version = parseInt(req.params.version, 10);
+  
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: 'Version must be a positive integer' });
+  }
+  
+  try {
+    const previous = registry.get(name)?.version ?? null;
+    const tool = await registry.activateVersion(name, version);
+    if (!tool) {
+      return res.status(404).json({ error: `Tool version not found: ${name}@${version}` });
+    }
+    
+    await storage.logActivity('tool_version', 'activated', { name, version, previous }, null, req.ip);
+    
+    res.json({ success: true, name, version: tool.version, previous });
+  } catch (error) {
+    logger.error('Failed to activate tool version', { name, version, error: error.message });
+    res.status(500).json({ error: 'Failed to activate tool version' });
+  }
+});
+
+router.get('/tool-cache', requireScope('settings:read'), (req, res) => {
+  res.json(resultCache.getStats());
+});
+
+router.delete('/tool-cache', requireScope('settings:write'), async (req, res) => {
+  const tool = req.query.tool || null;
+  
+  try {
+    const flushed = resultCache.flush(tool);
+    
+    await storage.logActivity('tool_cache', 'flushed', { tool, flushed }, null, req.ip);
+    
+    res.json({ success: true, flushed });
+  } catch (error) {
+    logger.error('Failed to flush tool cache', { tool, error: error.message });
+    res.status(500).json({ error: 'Failed to flush tool cache' });
+  }
+});
+
 router.get('/tool-creation-logs', requireScope('settings:read'), async (req, res) => {
   const { toolName, limit = 100 } = req.query;
   
@@ -462,6 +591,33 @@ router.post('/generated-tools/:id/reload', requireScope('settings:write'), async
   }
 });
 
+router.get('/upstreams', requireScope('settings:read'), (req, res) => {
+  const { upstreamManager } = require('../gateway/upstreams');
+  const upstreams = upstreamManager.getStatus();
+  res.json({
+    upstreams,
+    count: upstreams.length
+  });
+});
+
+router.post('/upstreams/:name/reconnect', requireScope('settings:write'), async (req, res) => {
+  const { upstreamManager } = require('../gateway/upstreams');
+  
+  try {
+    const upstream = await upstreamManager.reconnect(req.params.name);
+    
+    if (!upstream) {
+      return res.status(404).json({ error: 'Upstream server not found' });
+    }
+    
+    await storage.logActivity('gateway', 'upstream_reconnected', { name: req.params.name, status: upstream.status }, null, req.ip);
+    res.json(upstream);
+  } catch (error) {
+    logger.error('Failed to reconnect upstream server', { name: req.params.name, error: error.message });
+    res.status(500).json({ error: 'Failed to reconnect upstream server' });
+  }
+});
+
 router.get('/webhooks', requireScope('settings:read'), (req, res) => {
   const webhooks = webhookManager.listWebhooks();
   res.json({ 
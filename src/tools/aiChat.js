@@ -3,7 +3,9 @@
  * Tools for interacting with AI providers
  */
 const { registry } = require('../mcp/toolRegistry');
+const { structuredResult } = require('../mcp/structuredOutput');
 const { providerManager, SUPPORTED_PROVIDERS } = require('../providers');
+const { isAbortError } = require('../utils/cancellation');
 const logger = require('../utils/logger');
 
 const MAX_MESSAGES = 5000;
@@ -11,45 +13,18 @@ const MAX_MESSAGE_LENGTH = 200000;
 const MAX_TEXT_LENGTH = 2000000;
 const DEFAULT_MAX_TOKENS = 8192;
 const MAX_TOKENS_LIMIT = 128000;
-
-/**
- * Validate chat messages array
- * @param {Array} messages - Messages to validate
- * @returns {Object} Validation result
- */
-function validateMessages(messages) {
-  if (!Array.isArray(messages)) {
-    return { valid: false, error: 'Messages must be an array' };
-  }
-  
-  if (messages.length === 0) {
-    return { valid: false, error: 'At least one message is required' };
-  }
-  
-  if (messages.length > MAX_MESSAGES) {
-    return { valid: false, error: `Maximum ${MAX_MESSAGES} messages allowed` };
-  }
-  
-  for (let i = 0; i < messages.length; i++) {
-    const msg = messages[i];
-    if (!msg.role || !['system', 'user', 'assistant'].includes(msg.role)) {
-      return { valid: false, error: `Message ${i}: invalid role` };
-    }
-    if (typeof msg.content !== 'string') {
-      return { valid: false, error: `Message ${i}: content must be a string` };
-    }
-    if (msg.content.length > MAX_MESSAGE_LENGTH) {
-      return { valid: false, error: `Message ${i}: exceeds maximum length` };
-    }
-  }
-  
-  return { valid: true };
-}
+const MAX_IMAGE_PROMPT_LENGTH = 32000;
+const IMAGE_SIZES = ['1024x1024', '1024x1536', '1536x1024', 'auto'];
+const PROVIDER_TIMEOUT = 180000;
 
 registry.register({
   name: 'ai_chat',
+  title: 'AI Chat',
   description: 'Chat with an AI model. Supports OpenAI, Anthropic, and Gemini providers.',
   category: 'ai',
+  annotations: { readOnlyHint: true, openWorldHint: true },
+  timeout: PROVIDER_TIMEOUT,
+  maxConcurrency: 20,
   inputSchema: {
     type: 'object',
     properties: {
@@ -87,24 +62,24 @@ registry.register({
     },
     required: ['messages'],
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'The model reply' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      usage: { type: 'object', description: 'Provider token usage' },
+    },
+    required: ['text', 'provider'],
+  },
   handler: async (args, context) => {
     const { messages, provider = 'openai', model, max_tokens = DEFAULT_MAX_TOKENS } = args;
     
-    const validation = validateMessages(messages);
-    if (!validation.valid) {
-      return {
-        content: [{ type: 'text', text: `Validation error: ${validation.error}` }],
-        isError: true,
-      };
-    }
-    
-    const safeMaxTokens = Math.max(1, Math.min(parseInt(max_tokens) || DEFAULT_MAX_TOKENS, MAX_TOKENS_LIMIT));
-    
     logger.info('AI chat request', { 
       messageCount: messages.length, 
       provider, 
       model,
-      maxTokens: safeMaxTokens,
+      maxTokens: max_tokens,
       userId: context?.user?.id,
     });
     
@@ -113,23 +88,30 @@ registry.register({
       const response = await providerManager.chat(messages, {
         provider,
         model,
-        maxTokens: safeMaxTokens,
+        maxTokens: max_tokens,
+        signal: context?.signal,
       });
       const duration = Date.now() - startTime;
       
-      return {
-        content: [{
-          type: 'text',
-          text: response.content,
-        }],
+      return structuredResult({
+        text: response.content,
+        provider,
+        model: response.model,
+        usage: response.usage,
+      }, {
+        text: response.content,
         metadata: {
           provider,
           model: response.model,
           usage: response.usage,
           duration: `${duration}ms`,
         },
-      };
+      });
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      
       logger.error('AI chat failed', { 
         error: error.message, 
         provider,
@@ -153,8 +135,12 @@ registry.register({
 
 registry.register({
   name: 'ai_summarize',
+  title: 'Summarize Text',
   description: 'Summarize text using AI. Supports multiple AI providers.',
   category: 'ai',
+  annotations: { readOnlyHint: true, openWorldHint: true },
+  timeout: PROVIDER_TIMEOUT,
+  maxConcurrency: 10,
   inputSchema: {
     type: 'object',
     properties: {
@@ -179,23 +165,20 @@ registry.register({
     },
     required: ['text'],
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      originalLength: { type: 'integer' },
+      summaryLength: { type: 'integer' },
+    },
+    required: ['summary', 'provider', 'originalLength', 'summaryLength'],
+  },
   handler: async (args, context) => {
     const { text, length = 'medium', provider = 'openai' } = args;
     
-    if (!text || typeof text !== 'string') {
-      return {
-        content: [{ type: 'text', text: 'Error: Text is required' }],
-        isError: true,
-      };
-    }
-    
-    if (text.length > MAX_TEXT_LENGTH) {
-      return {
-        content: [{ type: 'text', text: `Error: Text exceeds maximum length of ${MAX_TEXT_LENGTH} characters` }],
-        isError: true,
-      };
-    }
-    
     const lengthPrompts = {
       short: 'Provide a brief 2-3 sentence summary.',
       medium: 'Provide a comprehensive paragraph summary.',
@@ -213,22 +196,28 @@ registry.register({
       },
     ];
     
+    context?.reportProgress?.(0, 1, `Summarizing ${text.length} characters with ${provider}`);
+    
     try {
-      const response = await providerManager.chat(messages, { provider });
+      const response = await providerManager.chat(messages, { provider, signal: context?.signal });
+      context?.reportProgress?.(1, 1, 'Summary received');
       
-      return {
-        content: [{
-          type: 'text',
-          text: response.content,
-        }],
-        metadata: {
-          provider,
-          model: response.model,
-          originalLength: text.length,
-          summaryLength: response.content.length,
-        },
+      const summary = {
+        provider,
+        model: response.model,
+        originalLength: text.length,
+        summaryLength: response.content.length,
       };
+      
+      return structuredResult({ summary: response.content, ...summary }, {
+        text: response.content,
+        metadata: summary,
+      });
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      
       logger.error('AI summarize failed', { error: error.message, provider });
       
       return {
@@ -244,34 +233,96 @@ registry.register({
 
 registry.register({
   name: 'ai_providers',
+  title: 'List AI Providers',
   description: 'List available AI providers and their configuration status',
   category: 'ai',
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   inputSchema: {
     type: 'object',
     properties: {},
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      providers: { type: 'array', items: { type: 'object' } },
+      configuredCount: { type: 'integer' },
+      totalCount: { type: 'integer' },
+    },
+    required: ['providers', 'configuredCount', 'totalCount'],
+  },
   handler: async (args, context) => {
     const providers = providerManager.listProviders();
     const configuredProviders = providerManager.getConfiguredProviders();
     
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify({ 
-          providers,
-          configuredCount: configuredProviders.length,
-          totalCount: providers.length,
-        }, null, 2),
-      }],
-      metadata: {
-        configuredProviders,
+    return structuredResult({
+      providers,
+      configuredCount: configuredProviders.length,
+      totalCount: providers.length,
+    }, {
+      metadata: { configuredProviders },
+    });
+  },
+});
+
+registry.register({
+  name: 'ai_generate_image',
+  title: 'Generate Image',
+  description: 'Generate an image from a text prompt with OpenAI. Large images are returned as a resource link.',
+  category: 'ai',
+  annotations: { readOnlyHint: true, idempotentHint: false, openWorldHint: true },
+  timeout: PROVIDER_TIMEOUT,
+  maxConcurrency: 5,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        description: 'Description of the image to generate',
+        minLength: 1,
+        maxLength: MAX_IMAGE_PROMPT_LENGTH,
       },
-    };
+      size: {
+        type: 'string',
+        enum: IMAGE_SIZES,
+        description: 'Image size',
+        default: '1024x1024',
+      },
+    },
+    required: ['prompt'],
+  },
+  handler: async (args, context) => {
+    const { prompt, size = '1024x1024' } = args;
+    
+    try {
+      const provider = providerManager.getProvider('openai');
+      context?.reportProgress?.(0, 1, 'Generating image');
+      const image = await provider.generateImage(prompt, { size, signal: context?.signal });
+      context?.reportProgress?.(1, 1, 'Image generated');
+      
+      if (!image.b64_json) {
+        throw new Error('Provider returned no image data');
+      }
+      
+      return {
+        content: [{ type: 'image', data: image.b64_json, mimeType: 'image/png' }],
+        metadata: { provider: 'openai', size },
+      };
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      
+      logger.error('Image generation failed', { error: error.message, statusCode: error.statusCode });
+      
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}` }],
+        isError: true,
+      };
+    }
   },
 });
 
 module.exports = {
-  validateMessages,
   MAX_MESSAGES,
   MAX_MESSAGE_LENGTH,
 };
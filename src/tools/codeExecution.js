@@ -3,6 +3,7 @@
  * Provides sandboxed JavaScript code execution
  */
 const { registry } = require('../mcp/toolRegistry');
+const { structuredResult } = require('../mcp/structuredOutput');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 const vm = require('vm');
@@ -96,8 +97,10 @@ function formatResult(result) {
 
 registry.register({
   name: 'code_sandbox',
+  title: 'Run JavaScript in Sandbox',
   description: 'Execute JavaScript code in a secure sandboxed environment. No network access or file system access allowed.',
   category: 'code',
+  annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
   inputSchema: {
     type: 'object',
     properties: {
@@ -116,40 +119,32 @@ registry.register({
     },
     required: ['code'],
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      executionId: { type: 'string' },
+      success: { type: 'boolean' },
+      result: { type: 'string', description: 'Value of the last expression, serialized' },
+      logs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' },
+            args: { type: 'array', items: { type: 'string' } },
+            timestamp: { type: 'integer' },
+          },
+        },
+      },
+      executionTime: { type: 'string' },
+    },
+    required: ['executionId', 'success', 'logs', 'executionTime'],
+  },
   handler: async (args, context) => {
-    const { code } = args;
-    const timeout = Math.max(MIN_TIMEOUT, Math.min(parseInt(args.timeout) || DEFAULT_TIMEOUT, MAX_TIMEOUT));
+    const { code, timeout } = args;
     const executionId = uuidv4();
     const startTime = Date.now();
     
-    if (!code || typeof code !== 'string') {
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            executionId,
-            success: false,
-            error: 'Code is required',
-          }, null, 2),
-        }],
-        isError: true,
-      };
-    }
-    
-    if (code.length > MAX_CODE_LENGTH) {
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            executionId,
-            success: false,
-            error: `Code exceeds maximum length of ${MAX_CODE_LENGTH} characters`,
-          }, null, 2),
-        }],
-        isError: true,
-      };
-    }
-    
     logger.info('Code execution requested', { 
       executionId,
       codeLength: code.length,
@@ -157,6 +152,9 @@ registry.register({
       userId: context?.user?.id,
     });
     
+    // vm execution is synchronous, so a cancellation can only stop it before it starts
+    context?.signal?.throwIfAborted();
+    
     const logs = [];
     
     try {
@@ -166,10 +164,12 @@ registry.register({
         filename: `sandbox-${executionId}.js`,
       });
       
+      context?.reportProgress?.(0, 1, 'Executing code');
       const result = script.runInContext(vmContext, { 
         timeout,
         displayErrors: true,
       });
+      context?.reportProgress?.(1, 1, 'Execution finished');
       
       const executionTime = Date.now() - startTime;
       
@@ -179,23 +179,19 @@ registry.register({
         logCount: logs.length,
       });
       
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            executionId,
-            success: true,
-            result: formatResult(result),
-            logs,
-            executionTime: `${executionTime}ms`,
-          }, null, 2),
-        }],
+      return structuredResult({
+        executionId,
+        success: true,
+        result: formatResult(result),
+        logs,
+        executionTime: `${executionTime}ms`,
+      }, {
         metadata: {
           executionId,
           executionTime,
           logCount: logs.length,
         },
-      };
+      });
     } catch (error) {
       const executionTime = Date.now() - startTime;
       const isTimeout = error.message?.includes('Script execution timed out');
@@ -3,11 +3,13 @@
  * Common utility functions for data manipulation
  */
 const { registry } = require('../mcp/toolRegistry');
+const { structuredResult } = require('../mcp/structuredOutput');
 const { v4: uuidv4 } = require('uuid');
 
 const MAX_UUID_COUNT = 100;
 const MAX_INDENT = 8;
 const MAX_INPUT_LENGTH = 1000000;
+const CACHE_TTL = 10 * 60 * 1000;
 
 /**
  * Create standardized MCP response
@@ -27,8 +29,10 @@ function createResponse(data, isError = false, metadata = {}) {
 
 registry.register({
   name: 'generate_uuid',
+  title: 'Generate UUID',
   description: 'Generate one or more UUIDs (v4)',
   category: 'utility',
+  annotations: { readOnlyHint: true, idempotentHint: false, openWorldHint: false },
   inputSchema: {
     type: 'object',
     properties: {
@@ -41,11 +45,18 @@ registry.register({
       },
     },
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      uuids: { type: 'array', items: { type: 'string' } },
+      count: { type: 'integer' },
+    },
+    required: ['uuids', 'count'],
+  },
   handler: async (args) => {
-    const count = Math.max(1, Math.min(parseInt(args.count) || 1, MAX_UUID_COUNT));
-    const uuids = Array.from({ length: count }, () => uuidv4());
+    const uuids = Array.from({ length: args.count }, () => uuidv4());
     
-    return createResponse({ 
+    return structuredResult({
       uuids,
       count: uuids.length,
     });
@@ -54,8 +65,10 @@ registry.register({
 
 registry.register({
   name: 'timestamp',
+  title: 'Timestamp',
   description: 'Get current timestamp in various formats',
   category: 'utility',
+  annotations: { readOnlyHint: true, idempotentHint: false, openWorldHint: false },
   inputSchema: {
     type: 'object',
     properties: {
@@ -71,6 +84,19 @@ registry.register({
       },
     },
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      iso: { type: 'string' },
+      unix: { type: 'integer' },
+      unix_ms: { type: 'integer' },
+      date: { type: 'string' },
+      time: { type: 'string' },
+      local: { type: 'string', description: 'Time in the requested timezone' },
+      timezone: { type: 'string' },
+      timezoneError: { type: 'string' },
+    },
+  },
   handler: async (args) => {
     const now = new Date();
     const { format = 'all', timezone } = args;
@@ -94,20 +120,24 @@ registry.register({
     
     const result = format === 'all' ? formats : { [format]: formats[format] };
     
-    return createResponse(result);
+    return structuredResult(result);
   },
 });
 
 registry.register({
   name: 'json_format',
+  title: 'Format JSON',
   description: 'Format, validate, and prettify JSON strings',
   category: 'utility',
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  cache: { ttl: CACHE_TTL },
   inputSchema: {
     type: 'object',
     properties: {
       json: {
         type: 'string',
         description: 'JSON string to format',
+        maxLength: MAX_INPUT_LENGTH,
       },
       indent: {
         type: 'integer',
@@ -124,17 +154,19 @@ registry.register({
     },
     required: ['json'],
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      formatted: { type: 'string', description: 'Formatted JSON' },
+      valid: { type: 'boolean' },
+      type: { type: 'string', enum: ['object', 'array', 'string', 'number', 'boolean'] },
+      length: { type: 'integer' },
+    },
+    required: ['formatted', 'valid', 'type', 'length'],
+  },
   handler: async (args) => {
     const { json, indent = 2, sortKeys = false } = args;
     
-    if (!json || typeof json !== 'string') {
-      return createResponse('Error: JSON input is required', true, { valid: false });
-    }
-    
-    if (json.length > MAX_INPUT_LENGTH) {
-      return createResponse(`Error: Input exceeds maximum length of ${MAX_INPUT_LENGTH} characters`, true, { valid: false });
-    }
-    
     try {
       let parsed = JSON.parse(json);
       
@@ -142,14 +174,15 @@ registry.register({
         parsed = sortObjectKeys(parsed);
       }
       
-      const safeIndent = Math.max(0, Math.min(parseInt(indent) || 2, MAX_INDENT));
-      const formatted = JSON.stringify(parsed, null, safeIndent);
+      const formatted = JSON.stringify(parsed, null, indent);
       
-      return createResponse(formatted, false, { 
+      const summary = {
         valid: true,
-        type: Array.isArray(parsed) ? 'array' : typeof parsed,
+        type: Array.isArray(parsed) ? 'array' : parsed === null ? 'object' : typeof parsed,
         length: formatted.length,
-      });
+      };
+      
+      return structuredResult({ formatted, ...summary }, { text: formatted, metadata: summary });
     } catch (error) {
       return createResponse(`Invalid JSON: ${error.message}`, true, { valid: false });
     }
@@ -178,14 +211,18 @@ function sortObjectKeys(obj) {
 
 registry.register({
   name: 'base64',
+  title: 'Base64 Encode/Decode',
   description: 'Encode or decode base64 strings',
   category: 'utility',
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  cache: { ttl: CACHE_TTL },
   inputSchema: {
     type: 'object',
     properties: {
       input: {
         type: 'string',
         description: 'Input string to encode/decode',
+        maxLength: MAX_INPUT_LENGTH,
       },
       operation: {
         type: 'string',
@@ -201,17 +238,19 @@ registry.register({
     },
     required: ['input'],
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      result: { type: 'string' },
+      operation: { type: 'string', enum: ['encode', 'decode'] },
+      inputLength: { type: 'integer' },
+      outputLength: { type: 'integer' },
+    },
+    required: ['result', 'operation', 'inputLength', 'outputLength'],
+  },
   handler: async (args) => {
     const { input, operation = 'encode', urlSafe = false } = args;
     
-    if (!input || typeof input !== 'string') {
-      return createResponse('Error: Input string is required', true);
-    }
-    
-    if (input.length > MAX_INPUT_LENGTH) {
-      return createResponse(`Error: Input exceeds maximum length of ${MAX_INPUT_LENGTH} characters`, true);
-    }
-    
     try {
       let result;
       
@@ -230,11 +269,13 @@ registry.register({
         result = Buffer.from(base64Input, 'base64').toString('utf-8');
       }
       
-      return createResponse(result, false, {
-        operation,
+      const summary = {
+        operation: operation === 'encode' ? 'encode' : 'decode',
         inputLength: input.length,
         outputLength: result.length,
-      });
+      };
+      
+      return structuredResult({ result, ...summary }, { text: result, metadata: summary });
     } catch (error) {
       return createResponse(`Error: ${error.message}`, true);
     }
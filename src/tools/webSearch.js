@@ -4,6 +4,7 @@
  * Note: Currently returns placeholder results. Integrate with a real search API for production.
  */
 const { registry } = require('../mcp/toolRegistry');
+const { structuredResult } = require('../mcp/structuredOutput');
 const logger = require('../utils/logger');
 
 const MAX_QUERY_LENGTH = 500;
@@ -12,18 +13,19 @@ const DEFAULT_MAX_RESULTS = 10;
 
 /**
  * Sanitize search query
- * @param {string} query - Raw query string
+ * @param {string} query - Query string (already checked against the inputSchema)
  * @returns {string} Sanitized query
  */
 function sanitizeQuery(query) {
-  if (!query || typeof query !== 'string') return '';
-  return query.trim().slice(0, MAX_QUERY_LENGTH);
+  return query.trim();
 }
 
 registry.register({
   name: 'web_search',
+  title: 'Web Search',
   description: 'Search the web for information on a topic. Returns structured search results.',
   category: 'search',
+  annotations: { readOnlyHint: true, openWorldHint: true },
   inputSchema: {
     type: 'object',
     properties: {
@@ -43,9 +45,34 @@ registry.register({
     },
     required: ['query'],
   },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      maxResults: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            snippet: { type: 'string' },
+            url: { type: 'string' },
+            position: { type: 'integer' },
+          },
+          required: ['title', 'url'],
+        },
+      },
+      totalResults: { type: 'integer' },
+      searchTime: { type: 'number' },
+      status: { type: 'string' },
+      note: { type: 'string' },
+    },
+    required: ['query', 'results', 'totalResults'],
+  },
   handler: async (args, context) => {
     const query = sanitizeQuery(args.query);
-    const maxResults = Math.max(1, Math.min(parseInt(args.max_results) || DEFAULT_MAX_RESULTS, MAX_RESULTS));
+    const maxResults = args.max_results;
     
     if (!query) {
       return {
@@ -80,16 +107,12 @@ registry.register({
       note: 'To enable real search, configure a search API provider (SEARCH_API_KEY)',
     };
     
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(response, null, 2),
-      }],
+    return structuredResult(response, {
       metadata: {
         resultCount: response.results.length,
         isPlaceholder: true,
       },
-    };
+    });
   },
 });
 
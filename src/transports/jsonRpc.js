@@ -0,0 +1,133 @@
+/**
+ * Stateless JSON-RPC Endpoint
+ * POST /mcp/rpc runs single JSON-RPC messages or batches through the shared
+ * MCP dispatch without a session handshake. Each HTTP request gets a
+ * throwaway session, so server-initiated messages (progress, client
+ * requests) are not delivered.
+ */
+const express = require('express');
+const { McpSession } = require('../mcp/session');
+const { handleMessage, ERROR_CODES } = require('../websocket/handler');
+const { isSupportedVersion, supportsFeature, LATEST_PROTOCOL_VERSION } = require('../mcp/protocol');
+const { validateApiKey } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const TRANSPORT_NAME = 'http-rpc';
+const PROTOCOL_VERSION_HEADER = 'MCP-Protocol-Version';
+
+/**
+ * Largest batch accepted in one request (its messages run concurrently)
+ */
+const MAX_BATCH_SIZE = 100;
+
+const router = express.Router();
+
+/**
+ * Build a JSON-RPC error response for failures outside method dispatch
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {string|number|null} [id] - Request ID
+ * @returns {Object}
+ */
+function rpcError(code, message, id = null) {
+  return { jsonrpc: '2.0', error: { code, message }, id };
+}
+
+/**
+ * Run one message and collect the responses it produces.
+ * Notifications meant for the client are dropped: there is no channel for them.
+ * @param {McpSession} session - Request session
+ * @param {*} message - JSON-RPC message
+ * @returns {Promise<Object[]>} Responses (none for notifications)
+ */
+async function dispatch(session, message) {
+  const responses = [];
+  const reply = (data) => {
+    if (data.method) {
+      return false;
+    }
+    responses.push(data);
+    return true;
+  };
+
+  try {
+    await handleMessage(session, message, reply);
+  } catch (error) {
+    logger.error('JSON-RPC dispatch error', { method: message?.method, error: error.message });
+    responses.push(rpcError(ERROR_CODES.INTERNAL_ERROR, error.message, message?.id ?? null));
+  }
+
+  return responses;
+}
+
+/**
+ * POST /mcp/rpc - Send one JSON-RPC message or a batch and get the responses
+ */
+router.post('/rpc', async (req, res) => {
+  const body = req.body;
+  const isBatch = Array.isArray(body);
+
+  if (isBatch && body.length === 0) {
+    return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'Invalid Request: empty batch'));
+  }
+
+  if (isBatch && body.length > MAX_BATCH_SIZE) {
+    return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST,
+      `Invalid Request: batch exceeds ${MAX_BATCH_SIZE} messages`));
+  }
+
+  const protocolVersion = req.get(PROTOCOL_VERSION_HEADER) || LATEST_PROTOCOL_VERSION;
+  if (!isSupportedVersion(protocolVersion)) {
+    return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+  }
+
+  if (isBatch && !supportsFeature(protocolVersion, 'batching')) {
+    return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST,
+      `JSON-RPC batching is not supported in protocol version ${protocolVersion}`));
+  }
+
+  const session = new McpSession({ transport: TRANSPORT_NAME, apiKeyData: req.apiKeyData });
+  session.protocolVersion = protocolVersion;
+  session.initialized = true;
+
+  // Abandoned requests stop running when the client disconnects
+  res.on('close', () => session.close());
+
+  const messages = isBatch ? body : [body];
+  const startTime = Date.now();
+  const responses = (await Promise.all(messages.map(message => dispatch(session, message)))).flat();
+
+  logger.debug('JSON-RPC request handled', {
+    messages: messages.length,
+    batch: isBatch,
+    duration: `${Date.now() - startTime}ms`,
+  });
+
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+  if (responses.length === 0) {
+    return res.status(204).end();
+  }
+  res.json(isBatch ? responses : responses[0]);
+});
+
+/**
+ * Error middleware answering malformed JSON bodies with a JSON-RPC parse error.
+ * Body parsing happens before the router runs, so mount this on the app at /mcp/rpc.
+ * The API key is checked first, as for every other /mcp request.
+ * @param {Error} err - Error from the body parser
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function handleParseError(err, req, res, next) {
+  if (err.type !== 'entity.parse.failed') {
+    return next(err);
+  }
+  validateApiKey(req, res, () => {
+    res.status(400).json(rpcError(ERROR_CODES.PARSE_ERROR, 'Parse error'));
+  });
+}
+
+module.exports = { router, handleParseError };
@@ -0,0 +1,83 @@
+/**
+ * Legacy HTTP+SSE Transport
+ * MCP 2024-11-05 HTTP+SSE transport: GET /sse opens a stream that announces
+ * the message endpoint, and clients POST JSON-RPC to /messages?sessionId=
+ */
+const express = require('express');
+const { sessionManager } = require('../mcp/session');
+const { handleMessage, handleBatch, ERROR_CODES } = require('../websocket/handler');
+const { validateApiKey } = require('../middleware/auth');
+const { openSseStream, writeSseEvent, startSseKeepalive } = require('../utils/sse');
+const logger = require('../utils/logger');
+
+const TRANSPORT_NAME = 'sse';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+const router = express.Router();
+
+/**
+ * GET /sse - Open the server-to-client stream and announce the message endpoint
+ */
+router.get(SSE_PATH, validateApiKey, (req, res) => {
+  openSseStream(res);
+
+  const session = sessionManager.create({
+    transport: TRANSPORT_NAME,
+    apiKeyData: req.apiKeyData,
+    send: (message) => writeSseEvent(res, message),
+  });
+
+  writeSseEvent(res, `${MESSAGES_PATH}?sessionId=${session.id}`, { event: 'endpoint' });
+  const stopKeepalive = startSseKeepalive(res);
+
+  session.onClose(() => res.end());
+
+  req.on('close', () => {
+    stopKeepalive();
+    sessionManager.remove(session.id);
+    logger.info('SSE client disconnected', { clientId: session.id });
+  });
+
+  logger.info('SSE client connected', { clientId: session.id, user: req.apiKeyData?.name });
+});
+
+/**
+ * POST /messages - Deliver a JSON-RPC message; the response arrives on the SSE stream
+ */
+router.post(MESSAGES_PATH, validateApiKey, (req, res) => {
+  const { sessionId } = req.query;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId query parameter is required' });
+  }
+
+  const session = sessionManager.get(sessionId);
+  if (!session || session.transport !== TRANSPORT_NAME) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (!session.belongsTo(req.apiKeyData)) {
+    logger.warn('SSE session used with a different API key', { sessionId, keyId: req.apiKeyData?.id });
+    return res.status(403).json({ error: 'Session belongs to a different API key' });
+  }
+
+  const message = req.body;
+  if (!message || typeof message !== 'object') {
+    return res.status(400).json({
+      jsonrpc: '2.0',
+      error: { code: ERROR_CODES.INVALID_REQUEST, message: 'Invalid Request' },
+      id: null,
+    });
+  }
+
+  session.touch();
+  res.status(202).send('Accepted');
+
+  const task = Array.isArray(message) ? handleBatch(session, message) : handleMessage(session, message);
+  task.catch(error => {
+    logger.error('SSE message error', { clientId: session.id, error: error.message });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * stdio Transport
+ * Newline-delimited JSON-RPC over stdin/stdout for MCP hosts that launch
+ * the server as a child process. stdout is reserved for protocol messages.
+ */
+const readline = require('readline');
+const { sessionManager } = require('../mcp/session');
+const { handleMessage, handleBatch, ERROR_CODES } = require('../websocket/handler');
+const logger = require('../utils/logger');
+
+const TRANSPORT_NAME = 'stdio';
+
+/**
+ * Start serving MCP over a pair of streams
+ * @param {Object} options - Transport options
+ * @param {Object} options.apiKeyData - Validated API key data for the local client
+ * @param {stream.Readable} options.input - Input stream (default: process.stdin)
+ * @param {stream.Writable} options.output - Output stream (default: process.stdout)
+ * @returns {McpSession} The stdio session
+ */
+function startStdioTransport({ apiKeyData, input = process.stdin, output = process.stdout }) {
+  const write = (message) => {
+    if (!output.writable) return;
+    output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  const session = sessionManager.create({
+    transport: TRANSPORT_NAME,
+    apiKeyData,
+    send: write,
+  });
+
+  const pending = new Set();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.warn('stdio message parse error', { error: error.message });
+      write({
+        jsonrpc: '2.0',
+        error: { code: ERROR_CODES.PARSE_ERROR, message: 'Parse error' },
+        id: null,
+      });
+      return;
+    }
+
+    session.touch();
+    const task = (Array.isArray(message) ? handleBatch(session, message) : handleMessage(session, message))
+      .catch(error => {
+        logger.error('stdio message error', { error: error.message });
+      })
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  lines.on('close', async () => {
+    logger.info('stdio input closed, finishing pending requests', { pending: pending.size });
+    await Promise.allSettled(Array.from(pending));
+    sessionManager.remove(session.id);
+  });
+
+  logger.info('stdio transport started', { sessionId: session.id, user: apiKeyData?.name });
+  return session;
+}
+
+module.exports = { startStdioTransport, TRANSPORT_NAME };
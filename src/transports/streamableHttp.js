@@ -0,0 +1,203 @@
+/**
+ * Streamable HTTP Transport
+ * MCP Streamable HTTP transport on a single endpoint: JSON-RPC over POST,
+ * optional SSE streaming of responses, a GET stream for server messages
+ * and Mcp-Session-Id session handling
+ */
+const express = require('express');
+const { sessionManager } = require('../mcp/session');
+const { handleMessage, ERROR_CODES } = require('../websocket/handler');
+const { isSupportedVersion } = require('../mcp/protocol');
+const { openSseStream, writeSseEvent, startSseKeepalive } = require('../utils/sse');
+const logger = require('../utils/logger');
+
+const TRANSPORT_NAME = 'streamable-http';
+const SESSION_HEADER = 'Mcp-Session-Id';
+const PROTOCOL_VERSION_HEADER = 'MCP-Protocol-Version';
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+
+const router = express.Router();
+
+/**
+ * Build a JSON-RPC error payload for transport-level failures
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Object}
+ */
+function rpcError(code, message) {
+  return { jsonrpc: '2.0', error: { code, message }, id: null };
+}
+
+/**
+ * Check if a message is a JSON-RPC request (expects a response)
+ * @param {Object} message - JSON-RPC message
+ * @returns {boolean}
+ */
+function isRequest(message) {
+  return !!message && typeof message === 'object' &&
+    typeof message.method === 'string' && message.id !== undefined;
+}
+
+/**
+ * Check if the client accepts an SSE response
+ * @param {express.Request} req - Express request
+ * @returns {boolean}
+ */
+function acceptsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Look up the session named in the Mcp-Session-Id header
+ * Responds with an HTTP error and returns null if it cannot be used
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @returns {McpSession|null}
+ */
+function resolveSession(req, res) {
+  const sessionId = req.get(SESSION_HEADER);
+
+  if (!sessionId) {
+    res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST, `Bad Request: ${SESSION_HEADER} header required`));
+    return null;
+  }
+
+  const session = sessionManager.get(sessionId);
+  if (!session || session.transport !== TRANSPORT_NAME) {
+    res.status(404).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'Session not found'));
+    return null;
+  }
+
+  if (!session.belongsTo(req.apiKeyData)) {
+    logger.warn('Session used with a different API key', { sessionId, keyId: req.apiKeyData?.id });
+    res.status(403).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'Session belongs to a different API key'));
+    return null;
+  }
+
+  const protocolVersion = req.get(PROTOCOL_VERSION_HEADER);
+  if (protocolVersion && !isSupportedVersion(protocolVersion)) {
+    res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+    return null;
+  }
+
+  session.touch();
+  return session;
+}
+
+/**
+ * POST /mcp - Send one JSON-RPC message or a batch to the server
+ */
+router.post('/', async (req, res) => {
+  const body = req.body;
+  const isBatch = Array.isArray(body);
+  const messages = isBatch ? body : [body];
+
+  if (!body || typeof body !== 'object' || messages.length === 0) {
+    return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'Invalid Request'));
+  }
+
+  const isInitialize = messages.some(m => isRequest(m) && m.method === 'initialize');
+  let session;
+
+  if (isInitialize) {
+    if (messages.length > 1) {
+      return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'initialize must not be part of a batch'));
+    }
+    session = sessionManager.create({
+      transport: TRANSPORT_NAME,
+      apiKeyData: req.apiKeyData,
+    });
+    res.set(SESSION_HEADER, session.id);
+    logger.info('Streamable HTTP session started', { sessionId: session.id, user: req.apiKeyData?.name });
+  } else {
+    session = resolveSession(req, res);
+    if (!session) return;
+  }
+
+  if (isBatch && !session.supports('batching')) {
+    return res.status(400).json(rpcError(ERROR_CODES.INVALID_REQUEST,
+      `JSON-RPC batching is not supported in protocol version ${session.protocolVersion}`));
+  }
+
+  if (!messages.some(isRequest)) {
+    await Promise.all(messages.map(message => handleMessage(session, message)));
+    return res.status(202).end();
+  }
+
+  if (acceptsEventStream(req)) {
+    openSseStream(res);
+    const reply = (message) => writeSseEvent(res, message);
+
+    await Promise.all(messages.map(message => handleMessage(session, message, reply)));
+    return res.end();
+  }
+
+  const responses = [];
+  const reply = (message) => {
+    if (message.method) {
+      return session.send(message);
+    } else {
+      responses.push(message);
+    }
+  };
+
+  await Promise.all(messages.map(message => handleMessage(session, message, reply)));
+
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+  res.json(isBatch ? responses : responses[0]);
+});
+
+/**
+ * GET /mcp - Open an SSE stream for server-initiated messages
+ */
+router.get('/', (req, res) => {
+  if (!acceptsEventStream(req)) {
+    return res.status(406).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'Not Acceptable: client must accept text/event-stream'));
+  }
+
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  if (session.canSend) {
+    return res.status(409).json(rpcError(ERROR_CODES.INVALID_REQUEST, 'Conflict: session already has an open stream'));
+  }
+
+  openSseStream(res);
+  session.setSender((message) => writeSseEvent(res, message));
+  const stopKeepalive = startSseKeepalive(res);
+
+  const endStream = () => res.end();
+  session.onClose(endStream);
+
+  req.on('close', () => {
+    stopKeepalive();
+    if (!session.closed) {
+      session.setSender(null);
+    }
+    logger.debug('Streamable HTTP stream closed', { sessionId: session.id });
+  });
+
+  logger.debug('Streamable HTTP stream opened', { sessionId: session.id });
+});
+
+/**
+ * DELETE /mcp - Terminate a session
+ */
+router.delete('/', (req, res) => {
+  const session = resolveSession(req, res);
+  if (!session) return;
+
+  sessionManager.remove(session.id);
+  logger.info('Streamable HTTP session terminated', { sessionId: session.id });
+  res.status(204).end();
+});
+
+const sweepTimer = setInterval(() => {
+  sessionManager.pruneIdle(TRANSPORT_NAME, SESSION_IDLE_TIMEOUT);
+}, SESSION_SWEEP_INTERVAL);
+sweepTimer.unref();
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Request Cancellation
+ * Tracks AbortControllers for in-flight requests so they can be cancelled by key
+ */
+
+const CANCELLED_STATUS_CODE = 499;
+
+/**
+ * Create the error used as the abort reason for cancelled requests
+ * @param {string} reason - Human-readable cancellation reason
+ * @returns {Error}
+ */
+function createAbortError(reason = 'Request cancelled') {
+  const error = new Error(reason);
+  error.name = 'AbortError';
+  error.statusCode = CANCELLED_STATUS_CODE;
+  return error;
+}
+
+/**
+ * Check if an error was caused by a request cancellation
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+  return !!error && (error.name === 'AbortError' || error.statusCode === CANCELLED_STATUS_CODE);
+}
+
+/**
+ * @class CancellationRegistry
+ * Maps request keys to AbortControllers
+ */
+class CancellationRegistry {
+  constructor() {
+    this.controllers = new Map();
+  }
+
+  /**
+   * Start tracking a request
+   * @param {string|number} key - Request key
+   * @returns {AbortController}
+   */
+  register(key) {
+    const controller = new AbortController();
+    this.controllers.set(key, controller);
+    return controller;
+  }
+
+  /**
+   * Abort a tracked request
+   * @param {string|number} key - Request key
+   * @param {string} reason - Cancellation reason
+   * @returns {boolean} True if a request was cancelled
+   */
+  cancel(key, reason) {
+    const controller = this.controllers.get(key);
+    if (!controller) return false;
+
+    this.controllers.delete(key);
+    controller.abort(createAbortError(reason));
+    return true;
+  }
+
+  /**
+   * Stop tracking a finished request
+   * @param {string|number} key - Request key
+   * @param {AbortController} controller - Controller returned by register()
+   */
+  release(key, controller) {
+    if (this.controllers.get(key) === controller) {
+      this.controllers.delete(key);
+    }
+  }
+
+  /**
+   * Abort every tracked request
+   * @param {string} reason - Cancellation reason
+   * @returns {number} Number of requests cancelled
+   */
+  cancelAll(reason) {
+    const keys = Array.from(this.controllers.keys());
+    keys.forEach(key => this.cancel(key, reason));
+    return keys.length;
+  }
+
+  /**
+   * Check if a request is being tracked
+   * @param {string|number} key - Request key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.controllers.has(key);
+  }
+
+  /**
+   * Get count of in-flight requests
+   * @returns {number}
+   */
+  get size() {
+    return this.controllers.size;
+  }
+}
+
+module.exports = {
+  CancellationRegistry,
+  createAbortError,
+  isAbortError,
+  CANCELLED_STATUS_CODE,
+};
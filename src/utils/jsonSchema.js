@@ -0,0 +1,222 @@
+/**
+ * JSON Schema Validation
+ * A small validator for the JSON Schema subset used by tool schemas:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * anyOf/oneOf, and the numeric, string-length, pattern and array-size keywords.
+ * Property defaults can be filled in before validating.
+ */
+
+/**
+ * Compiled pattern of each schema object, so a pattern is compiled once.
+ * Invalid patterns map to null.
+ */
+const compiledPatterns = new WeakMap();
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against one JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Build the path of a child value (JSON Pointer syntax)
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function childPath(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Get the compiled RegExp of a schema's pattern keyword
+ * @param {Object} schema - Schema with a pattern
+ * @returns {RegExp|null} Null if the pattern is not a valid regular expression
+ */
+function compilePattern(schema) {
+  if (!compiledPatterns.has(schema)) {
+    let regex = null;
+    try {
+      regex = new RegExp(schema.pattern);
+    } catch {
+      // Rejected at registration by compileSchemaPatterns
+    }
+    compiledPatterns.set(schema, regex);
+  }
+  return compiledPatterns.get(schema);
+}
+
+/**
+ * Compile every pattern in a schema ahead of validation. Call this when a
+ * schema is registered, so a bad pattern is rejected once instead of on each call.
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Path of the schema's value (JSON Pointer, '' for the root)
+ * @throws {Error} If a pattern is not a valid regular expression
+ */
+function compileSchemaPatterns(schema, path = '') {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      compiledPatterns.set(schema, new RegExp(schema.pattern));
+    } catch (error) {
+      throw new Error(`pattern at ${path || '/'} is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    compileSchemaPatterns(propertySchema, childPath(path, name));
+  }
+  compileSchemaPatterns(schema.items, childPath(path, '*'));
+  compileSchemaPatterns(schema.additionalProperties, childPath(path, '*'));
+  for (const option of [...(schema.anyOf || []), ...(schema.oneOf || [])]) {
+    compileSchemaPatterns(option, path);
+  }
+}
+
+/**
+ * Validate a value against a schema, collecting every violation
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Path of the value (JSON Pointer, '' for the root)
+ * @param {Array} [errors] - Collected errors
+ * @returns {Array<{path: string, message: string}>} Violations (empty if valid)
+ */
+function validateSchema(schema, value, path = '', errors = []) {
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(option, value, path).length === 0)) {
+    fail('must match at least one allowed schema');
+  }
+
+  if (schema.oneOf && schema.oneOf.filter(option => validateSchema(option, value, path).length === 0).length !== 1) {
+    fail('must match exactly one allowed schema');
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && compilePattern(schema)?.test(value) === false) fail(`must match pattern ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => validateSchema(schema.items, item, childPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: childPath(path, name), message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      if (properties[name]) {
+        validateSchema(properties[name], propertyValue, childPath(path, name), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, name), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateSchema(schema.additionalProperties, propertyValue, childPath(path, name), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the declared defaults of missing object properties, including
+ * those of nested objects and array items. The value is not modified.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to complete
+ * @returns {*} Copy of the value with defaults applied
+ */
+function applySchemaDefaults(schema, value) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return schema.items && typeof schema.items === 'object'
+      ? value.map(item => applySchemaDefaults(schema.items, item))
+      : value;
+  }
+
+  if (typeOf(value) !== 'object' || !schema.properties) {
+    return value;
+  }
+
+  const result = { ...value };
+  for (const [name, propertySchema] of Object.entries(schema.properties)) {
+    if (result[name] === undefined && propertySchema?.default !== undefined) {
+      result[name] = applySchemaDefaults(propertySchema, structuredClone(propertySchema.default));
+    } else if (result[name] !== undefined) {
+      result[name] = applySchemaDefaults(propertySchema, result[name]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Format violations as one readable line
+ * @param {Array<{path: string, message: string}>} errors - Violations
+ * @returns {string}
+ */
+function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path || '/'} ${error.message}`).join('; ');
+}
+
+module.exports = { validateSchema, compileSchemaPatterns, applySchemaDefaults, formatSchemaErrors };
@@ -24,6 +24,7 @@ winston.addColors(LOG_COLORS);
 
 const isDevelopment = process.env.NODE_ENV !== 'production';
 const logLevel = process.env.LOG_LEVEL || (isDevelopment ? 'debug' : 'info');
+const isStdioMode = process.env.MCP_TRANSPORT === 'stdio';
 
 const devFormat = winston.format.combine(
   winston.format.timestamp({ format: 'HH:mm:ss' }),
@@ -40,15 +41,21 @@ const prodFormat = winston.format.combine(
   winston.format.json()
 );
 
+// The logger itself passes every level through; each transport filters
+// on its own level, so MCP sessions can ask for more detail than the console.
 const logger = winston.createLogger({
   levels: LOG_LEVELS,
-  level: logLevel,
-  format: isDevelopment ? devFormat : prodFormat,
+  level: 'debug',
+  format: winston.format.errors({ stack: true }),
   defaultMeta: { service: 'spurs-mcp-server' },
   transports: [
     new winston.transports.Console({
+      level: logLevel,
+      format: isDevelopment ? devFormat : prodFormat,
       handleExceptions: true,
       handleRejections: true,
+      // stdout carries the JSON-RPC stream in stdio mode
+      stderrLevels: isStdioMode ? Object.keys(LOG_LEVELS) : [],
     }),
   ],
   exitOnError: false,
@@ -62,8 +69,8 @@ const logger = winston.createLogger({
 logger.child = function(meta) {
   return winston.createLogger({
     levels: LOG_LEVELS,
-    level: logLevel,
-    format: isDevelopment ? devFormat : prodFormat,
+    level: 'debug',
+    format: winston.format.errors({ stack: true }),
     defaultMeta: { service: 'spurs-mcp-server', ...meta },
     transports: this.transports,
   });
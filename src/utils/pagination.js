@@ -0,0 +1,96 @@
+/**
+ * Cursor Pagination
+ * Opaque-cursor pagination for list endpoints. Items are ordered by a
+ * unique key and the cursor records the last key returned, so pages stay
+ * consistent while items are added or removed between requests.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Encode the last key of a page as an opaque cursor
+ * @param {string} key - Sort key of the last item returned
+ * @returns {string}
+ */
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify({ after: key })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {string} Sort key to continue after
+ * @throws {Error} With statusCode 400 if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof after === 'string') {
+      return after;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor error
+  }
+
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  throw error;
+}
+
+/**
+ * Clamp a requested page size to the allowed range
+ * @param {number|string} [pageSize] - Requested page size
+ * @returns {number}
+ */
+function normalizePageSize(pageSize) {
+  const size = parseInt(pageSize, 10);
+  if (!Number.isFinite(size) || size < 1) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Return one page of items
+ * @param {Array} items - All items
+ * @param {Object} options - Pagination options
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} [options.pageSize] - Items per page
+ * @param {Function} [options.getKey] - Returns the unique sort key of an item (default: item.name)
+ * @returns {Object} { items, nextCursor } where nextCursor is undefined on the last page
+ */
+function paginate(items, { cursor, pageSize, getKey = item => item.name } = {}) {
+  const size = normalizePageSize(pageSize);
+  const sorted = [...items].sort((a, b) => {
+    const keyA = getKey(a);
+    const keyB = getKey(b);
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+  });
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = sorted.findIndex(item => getKey(item) > after);
+    if (start === -1) {
+      start = sorted.length;
+    }
+  }
+
+  const page = sorted.slice(start, start + size);
+  const hasMore = start + size < sorted.length;
+
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(getKey(page[page.length - 1])) : undefined,
+  };
+}
+
+module.exports = {
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  normalizePageSize,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
@@ -0,0 +1,58 @@
+/**
+ * Per-Key Rate Limiter
+ * Fixed-window request counting for callers outside the Express rate limit
+ * middleware (e.g. calls that arrive over WebSocket or stdio)
+ */
+
+/**
+ * @class KeyRateLimiter
+ * Counts requests per key in fixed windows
+ */
+class KeyRateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.windowMs - Window length in milliseconds
+   */
+  constructor({ windowMs }) {
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string|number} key - Caller key (e.g. API key ID)
+   * @param {number} limit - Requests allowed per window
+   * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}}
+   */
+  consume(key, limit) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      this.prune(now);
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    if (window.count >= limit) {
+      return { allowed: false, remaining: 0, retryAfterMs: window.resetAt - now };
+    }
+
+    window.count++;
+    return { allowed: true, remaining: limit - window.count, retryAfterMs: 0 };
+  }
+
+  /**
+   * Drop windows that have ended
+   * @param {number} [now] - Current time
+   */
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { KeyRateLimiter };
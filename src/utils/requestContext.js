@@ -0,0 +1,31 @@
+/**
+ * Request Context
+ * Async-local storage for the MCP request currently being handled, so code
+ * deep in a call chain (e.g. logging) can tell which session it serves
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - Request context
+ * @param {McpSession} context.session - Session the request arrived on
+ * @param {string|number} context.requestId - JSON-RPC request ID
+ * @param {Function} context.reply - Sends messages belonging to the request
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|undefined}
+ */
+function getRequestContext() {
+  return storage.getStore();
+}
+
+module.exports = { runWithRequestContext, getRequestContext };
@@ -0,0 +1,78 @@
+/**
+ * Server-Sent Events Helpers
+ * Minimal SSE framing for MCP HTTP transports
+ */
+
+const KEEPALIVE_INTERVAL = 30000;
+
+/**
+ * Start an SSE response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} headers - Additional response headers
+ */
+function openSseStream(res, headers = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    ...headers,
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Check if an SSE response can still be written to
+ * @param {http.ServerResponse} res - HTTP response
+ * @returns {boolean}
+ */
+function isSseWritable(res) {
+  return !res.writableEnded && !res.destroyed;
+}
+
+/**
+ * Write a single SSE event
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object|string} data - Event payload (objects are JSON encoded)
+ * @param {Object} options - Event options
+ * @param {string} options.event - Event name (default: message)
+ * @param {string} options.id - Event ID
+ * @returns {boolean} False if the stream is no longer writable
+ */
+function writeSseEvent(res, data, { event = 'message', id } = {}) {
+  if (!isSseWritable(res)) return false;
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  let frame = '';
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  for (const line of payload.split('\n')) {
+    frame += `data: ${line}\n`;
+  }
+
+  res.write(`${frame}\n`);
+  return true;
+}
+
+/**
+ * Keep an SSE stream open through proxies with periodic comments
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} interval - Interval in milliseconds
+ * @returns {Function} Call to stop the keepalive
+ */
+function startSseKeepalive(res, interval = KEEPALIVE_INTERVAL) {
+  const timer = setInterval(() => {
+    if (isSseWritable(res)) {
+      res.write(': keepalive\n\n');
+    }
+  }, interval);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  openSseStream,
+  writeSseEvent,
+  startSseKeepalive,
+  isSseWritable,
+  KEEPALIVE_INTERVAL,
+};
@@ -0,0 +1,200 @@
+/**
+ * URI Templates
+ * Matching and expansion for RFC 6570 URI templates (levels 1-3:
+ * {var}, {+var}, {#var}, {.var}, {/var}, {;var}, {?var} and {&var})
+ */
+
+const EXPRESSION_PATTERN = /\{([+#./;?&]?)([^{}]+)\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+/**
+ * Per-operator expansion rules from RFC 6570 section 3.2
+ */
+const OPERATORS = {
+  '': { prefix: '', separator: ',', named: false, reserved: false },
+  '+': { prefix: '', separator: ',', named: false, reserved: true },
+  '#': { prefix: '#', separator: ',', named: false, reserved: true },
+  '.': { prefix: '.', separator: '.', named: false, reserved: false },
+  '/': { prefix: '/', separator: '/', named: false, reserved: false },
+  ';': { prefix: ';', separator: ';', named: true, reserved: false },
+  '?': { prefix: '?', separator: '&', named: true, reserved: false },
+  '&': { prefix: '&', separator: '&', named: true, reserved: false },
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Percent-encode a value for an expression
+ * @param {string} value - Value to encode
+ * @param {boolean} reserved - Keep reserved characters (+ and # operators)
+ * @returns {string}
+ */
+function encodeValue(value, reserved) {
+  return reserved ? encodeURI(value) : encodeURIComponent(value);
+}
+
+/**
+ * Decode a matched value, leaving malformed escapes as-is
+ * @param {string} value - Matched text
+ * @returns {string}
+ */
+function decodeValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * @class UriTemplate
+ * A parsed URI template that can match URIs and expand variables
+ */
+class UriTemplate {
+  /**
+   * @param {string} template - RFC 6570 URI template
+   * @throws {Error} If the template is malformed
+   */
+  constructor(template) {
+    if (!template || typeof template !== 'string') {
+      throw new Error('URI template must be a non-empty string');
+    }
+
+    this.template = template;
+    this.parts = [];
+
+    let lastIndex = 0;
+    for (const match of template.matchAll(EXPRESSION_PATTERN)) {
+      if (match.index > lastIndex) {
+        this.parts.push({ literal: template.slice(lastIndex, match.index) });
+      }
+
+      const [, operator, variableList] = match;
+      const names = variableList.split(',').map(name => name.trim());
+      for (const name of names) {
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+          throw new Error(`Invalid variable name "${name}" in URI template: ${template}`);
+        }
+      }
+
+      this.parts.push({ operator, names });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < template.length) {
+      this.parts.push({ literal: template.slice(lastIndex) });
+    }
+
+    if (this.parts.some(part => part.literal && /[{}]/.test(part.literal))) {
+      throw new Error(`Unbalanced braces in URI template: ${template}`);
+    }
+
+    this.variableNames = this.parts.flatMap(part => part.names || []);
+    this.pattern = this.buildPattern();
+  }
+
+  /**
+   * Build the regular expression used by match()
+   * @returns {RegExp}
+   */
+  buildPattern() {
+    const source = this.parts.map(part => {
+      if (part.literal) {
+        return escapeRegExp(part.literal);
+      }
+
+      const rules = OPERATORS[part.operator];
+
+      // Query-style expressions are optional and parsed as key=value pairs
+      if (rules.named) {
+        return `(?:${escapeRegExp(rules.prefix)}([^#]*))?`;
+      }
+
+      const valueChars = rules.reserved ? '.' : '[^/?#&]';
+      const single = `(${valueChars}${rules.reserved ? '*' : '+'}?)`;
+      const values = part.names.map(() => single).join(escapeRegExp(rules.separator));
+      return `${escapeRegExp(rules.prefix)}${values}`;
+    }).join('');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Match a URI against the template
+   * @param {string} uri - Concrete URI
+   * @returns {Object|null} Extracted variables, or null if the URI does not match
+   */
+  match(uri) {
+    if (typeof uri !== 'string') return null;
+
+    const result = this.pattern.exec(uri);
+    if (!result) return null;
+
+    const variables = {};
+    let group = 1;
+
+    for (const part of this.parts) {
+      if (part.literal) continue;
+
+      const rules = OPERATORS[part.operator];
+      if (rules.named) {
+        const raw = result[group++];
+        if (!raw) continue;
+        for (const pair of raw.split(rules.separator)) {
+          const [key, ...rest] = pair.split('=');
+          if (part.names.includes(key)) {
+            variables[key] = decodeValue(rest.join('='));
+          }
+        }
+        continue;
+      }
+
+      for (const name of part.names) {
+        variables[name] = decodeValue(result[group++]);
+      }
+    }
+
+    return variables;
+  }
+
+  /**
+   * Expand the template with variable values
+   * @param {Object} variables - Variable values (undefined values are omitted)
+   * @returns {string} Concrete URI
+   */
+  expand(variables = {}) {
+    return this.parts.map(part => {
+      if (part.literal) {
+        return part.literal;
+      }
+
+      const rules = OPERATORS[part.operator];
+      const values = part.names
+        .filter(name => variables[name] !== undefined && variables[name] !== null)
+        .map(name => {
+          const value = encodeValue(String(variables[name]), rules.reserved);
+          return rules.named ? `${name}=${value}` : value;
+        });
+
+      return values.length > 0 ? `${rules.prefix}${values.join(rules.separator)}` : '';
+    }).join('');
+  }
+
+  /**
+   * Check if a string contains template expressions
+   * @param {string} value - String to check
+   * @returns {boolean}
+   */
+  static isTemplate(value) {
+    return typeof value === 'string' && /\{[^{}]+\}/.test(value);
+  }
+}
+
+module.exports = { UriTemplate };
@@ -1,6 +1,7 @@
 /**
  * WebSocket Handler
- * MCP protocol support over WebSocket transport
+ * MCP protocol support over WebSocket transport and the JSON-RPC
+ * method dispatch shared by all MCP transports
  */
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
@@ -9,7 +10,20 @@ const { registry } = require('../mcp/toolRegistry');
 const { promptRegistry } = require('../mcp/promptRegistry');
 const { resourceRegistry } = require('../mcp/resourceRegistry');
 const { providerManager } = require('../providers');
+const { sessionManager } = require('../mcp/session');
+const { negotiateProtocolVersion } = require('../mcp/protocol');
+const { createProgressReporter } = require('../mcp/progress');
+const { createSampler } = require('../mcp/sampling');
+const { createElicitor, canElicit } = require('../mcp/elicitation');
+const { getRoots, invalidateRoots, supportsRoots } = require('../mcp/roots');
+const { checkToolPermission } = require('../mcp/toolAnnotations');
+const { parseToolReference } = require('../mcp/toolVersions');
+const { paginate } = require('../utils/pagination');
+const { runWithRequestContext } = require('../utils/requestContext');
+const { isValidLogLevel, MCP_LOG_LEVELS } = require('../mcp/logForwarding');
+const { complete } = require('../mcp/completion');
 const { validateApiKey } = require('../middleware/apiKeys');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 const PING_INTERVAL = 30000;
@@ -17,9 +31,12 @@ const SERVER_INFO = {
   name: 'SPURS MCP Server',
   version: '1.0.0',
 };
-const PROTOCOL_VERSION = '2024-11-05';
 const WEBSOCKET_PATH = '/ws';
 
+// Open socket and expiry timer of each WebSocket session, by session ID
+const activeSockets = new Map();
+const resumeTimers = new Map();
+
 /**
  * JSON-RPC 2.0 error codes
  */
@@ -74,6 +91,21 @@ function setupWebSocket(server) {
       
       request.apiKeyData = keyData;
       
+      const resumeId = getResumeParams(request).sessionId;
+      if (resumeId) {
+        const resumable = sessionManager.get(resumeId);
+        if (!resumable || resumable.transport !== 'websocket' || !resumable.belongsTo(keyData)) {
+          logger.warn('WebSocket resume rejected: unknown session', { 
+            sessionId: resumeId,
+            ip: socket.remoteAddress 
+          });
+          socket.write('HTTP/1.1 404 Not Found\r\nContent-Type: text/plain\r\n\r\nSession not found or expired');
+          socket.destroy();
+          return;
+        }
+        request.resumeSession = resumable;
+      }
+      
       wss.handleUpgrade(request, socket, head, (ws) => {
         wss.emit('connection', ws, request);
       });
@@ -85,12 +117,22 @@ function setupWebSocket(server) {
   });
   
   wss.on('connection', (ws, req) => {
-    const clientId = uuidv4();
+    const resumed = !!req.resumeSession;
+    const session = req.resumeSession || sessionManager.create({
+      transport: 'websocket',
+      apiKeyData: req.apiKeyData,
+    });
+    if (!resumed) {
+      session.enableReplay({
+        maxEvents: config.websocket.replayBufferSize,
+        maxBytes: config.websocket.replayBufferBytes,
+      });
+    }
+    const clientId = session.id;
     const userName = req.apiKeyData?.name || 'unknown';
     
-    logger.info('WebSocket client connected', { clientId, user: userName });
-    
     ws.clientId = clientId;
+    ws.session = session;
     ws.isAlive = true;
     ws.apiKeyData = req.apiKeyData;
     ws.connectedAt = Date.now();
@@ -99,6 +141,25 @@ function setupWebSocket(server) {
       ws.isAlive = true;
     });
     
+    // A resuming client may come back before the server noticed its old connection died
+    const previous = activeSockets.get(clientId);
+    activeSockets.set(clientId, ws);
+    clearTimeout(resumeTimers.get(clientId));
+    resumeTimers.delete(clientId);
+    if (previous) {
+      previous.terminate();
+    }
+    
+    const replay = resumed
+      ? session.replay.since(getResumeParams(req).lastEventId)
+      : { events: [], complete: true };
+    
+    logger.info(resumed ? 'WebSocket session resumed' : 'WebSocket client connected', {
+      clientId,
+      user: userName,
+      ...(resumed && { replayed: replay.events.length, replayComplete: replay.complete }),
+    });
+    
     safeSend(ws, {
       jsonrpc: '2.0',
       method: 'connected',
@@ -107,29 +168,72 @@ function setupWebSocket(server) {
         serverInfo: SERVER_INFO,
         authenticated: true,
         user: userName,
+        resumed,
+        nextEventId: replay.events[0]?.id ?? session.replay.lastEventId + 1,
+        ...(resumed && { replayed: replay.events.length, replayComplete: replay.complete }),
       },
     });
     
+    for (const event of replay.events) {
+      safeSendRaw(ws, event.data);
+    }
+    session.setSender((data) => safeSend(ws, data));
+    
     ws.on('message', async (data) => {
+      let message;
       try {
-        const message = JSON.parse(data.toString());
-        await handleMessage(ws, message);
+        message = JSON.parse(data.toString());
       } catch (error) {
-        logger.error('WebSocket message error', { clientId, error: error.message });
-        safeSend(ws, {
+        logger.warn('WebSocket message parse error', { clientId, error: error.message });
+        session.send({
           jsonrpc: '2.0',
           error: { code: ERROR_CODES.PARSE_ERROR, message: 'Parse error' },
           id: null,
         });
+        return;
+      }
+      
+      session.touch();
+      try {
+        await (Array.isArray(message) ? handleBatch(session, message) : handleMessage(session, message));
+      } catch (error) {
+        logger.error('WebSocket message error', { clientId, error: error.message });
+        session.send({
+          jsonrpc: '2.0',
+          error: { code: ERROR_CODES.INTERNAL_ERROR, message: 'Internal error' },
+          id: Array.isArray(message) ? null : message?.id ?? null,
+        });
       }
     });
     
     ws.on('close', (code, reason) => {
       const duration = Date.now() - ws.connectedAt;
+      
+      if (activeSockets.get(clientId) !== ws) {
+        logger.debug('Replaced WebSocket connection closed', { clientId, code });
+        return;
+      }
+      activeSockets.delete(clientId);
+      session.setSender(null);
+      
+      const graceMs = config.websocket.resumeGraceMs;
+      if (graceMs > 0 && !session.closed) {
+        const timer = setTimeout(() => {
+          resumeTimers.delete(clientId);
+          sessionManager.remove(clientId);
+          logger.info('WebSocket session expired', { clientId });
+        }, graceMs);
+        timer.unref();
+        resumeTimers.set(clientId, timer);
+      } else {
+        sessionManager.remove(clientId);
+      }
+      
       logger.info('WebSocket client disconnected', { 
         clientId, 
         code, 
-        duration: `${duration}ms` 
+        duration: `${duration}ms`,
+        resumableFor: `${graceMs}ms`,
       });
     });
     
@@ -151,56 +255,148 @@ function setupWebSocket(server) {
   
   wss.on('close', () => {
     clearInterval(interval);
+    for (const [clientId, timer] of resumeTimers) {
+      clearTimeout(timer);
+      sessionManager.remove(clientId);
+    }
+    resumeTimers.clear();
     logger.info('WebSocket server closed');
   });
   
   return wss;
 }
 
+/**
+ * Read the session resumption parameters of a WebSocket upgrade request
+ * (Mcp-Session-Id / Last-Event-ID headers, or sessionId / lastEventId query parameters)
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @returns {{sessionId: string|undefined, lastEventId: number}}
+ */
+function getResumeParams(request) {
+  const { query } = url.parse(request.url, true);
+  const sessionId = request.headers['mcp-session-id'] || query.sessionId || undefined;
+  const lastEventId = parseInt(request.headers['last-event-id'] ?? query.lastEventId, 10);
+  
+  return {
+    sessionId,
+    lastEventId: Number.isNaN(lastEventId) ? 0 : lastEventId,
+  };
+}
+
+/**
+ * Send an already serialized message through WebSocket
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} data - Serialized message
+ */
+function safeSendRaw(ws, data) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  try {
+    ws.send(data);
+  } catch (error) {
+    logger.error('WebSocket send error', { clientId: ws.clientId, error: error.message });
+  }
+}
+
 /**
  * Safely send data through WebSocket
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} data - Data to send
+ * @returns {boolean} False if the message could not be sent
  */
 function safeSend(ws, data) {
   if (ws.readyState === WebSocket.OPEN) {
     try {
       ws.send(JSON.stringify(data));
+      return true;
     } catch (error) {
       logger.error('WebSocket send error', { 
         clientId: ws.clientId, 
         error: error.message 
       });
     }
+  } else {
+    logger.warn('Cannot send message: WebSocket not open', { clientId: ws.clientId });
   }
+  return false;
 }
 
 /**
- * Check if WebSocket client has required scope
- * @param {WebSocket} ws - WebSocket connection
+ * Check if session has required scope
+ * @param {McpSession} session - MCP session
  * @param {string} scope - Required scope
  * @returns {boolean}
  */
-function hasScope(ws, scope) {
-  if (!ws.apiKeyData || !ws.apiKeyData.scopes) return false;
+function hasScope(session, scope) {
+  if (!session.apiKeyData || !session.apiKeyData.scopes) return false;
   
-  if (ws.apiKeyData.scopes.includes('admin:*')) return true;
+  if (session.apiKeyData.scopes.includes('admin:*')) return true;
   
-  return ws.apiKeyData.scopes.includes(scope);
+  return session.apiKeyData.scopes.includes(scope);
 }
 
 /**
- * Handle incoming WebSocket message
- * @param {WebSocket} ws - WebSocket connection
+ * Handle incoming JSON-RPC message for any transport
+ * @param {McpSession} session - MCP session the message arrived on
  * @param {Object} message - JSON-RPC 2.0 message
+ * @param {Function} [reply] - Sends messages belonging to this request; defaults to the session channel
  */
-async function handleMessage(ws, message) {
+async function handleMessage(session, message, reply = (data) => session.send(data)) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return sendError(reply, null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+  
   const { jsonrpc, method, params, id } = message;
   
   if (jsonrpc !== '2.0') {
-    return sendError(ws, id, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+    return sendError(reply, id ?? null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+  
+  if (typeof method !== 'string') {
+    if ('result' in message || 'error' in message) {
+      if (!session.handleResponse(message)) {
+        logger.debug('Ignoring response to unknown request', { id, clientId: session.id });
+      }
+      return;
+    }
+    return sendError(reply, id ?? null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+  
+  if (id === undefined) {
+    return handleNotification(session, method, params);
+  }
+  
+  // A reused ID would leave the earlier request impossible to cancel
+  if (session.requests.has(id)) {
+    return sendError(reply, id, ERROR_CODES.INVALID_REQUEST, `Invalid Request: request ID ${JSON.stringify(id)} is already in progress`);
   }
   
+  const controller = session.requests.register(id);
+  const respond = (data) => {
+    if (controller.signal.aborted) {
+      return false;
+    }
+    return reply(data);
+  };
+  
+  try {
+    await runWithRequestContext(
+      { session, requestId: id, reply: respond },
+      () => handleRequest(session, message, respond, controller.signal)
+    );
+  } finally {
+    session.requests.release(id, controller);
+  }
+}
+
+/**
+ * Dispatch a JSON-RPC request to its method handler
+ * @param {McpSession} session - MCP session the request arrived on
+ * @param {Object} message - JSON-RPC 2.0 request
+ * @param {Function} reply - Sends messages belonging to this request
+ * @param {AbortSignal} signal - Aborted when the client cancels the request
+ */
+async function handleRequest(session, message, reply, signal) {
+  const { method, params, id } = message;
   const startTime = Date.now();
   
   try {
@@ -208,95 +404,205 @@ async function handleMessage(ws, message) {
     
     switch (method) {
       case 'initialize':
+        session.protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+        session.clientInfo = params?.clientInfo || null;
+        session.clientCapabilities = params?.capabilities || {};
+        logger.info('MCP protocol version negotiated', {
+          clientId: session.id,
+          requested: params?.protocolVersion,
+          negotiated: session.protocolVersion,
+        });
         result = {
-          protocolVersion: PROTOCOL_VERSION,
+          protocolVersion: session.protocolVersion,
           capabilities: {
             tools: { listChanged: true },
             prompts: { listChanged: true },
-            resources: { subscribe: false, listChanged: true },
+            resources: { subscribe: true, listChanged: true },
+            logging: {},
+            ...(session.supports('completions') && { completions: {} }),
           },
           serverInfo: SERVER_INFO,
         };
         break;
         
       case 'tools/list':
-        if (!hasScope(ws, 'tools:read')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: tools:read scope required');
+        if (!hasScope(session, 'tools:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: tools:read scope required');
         }
-        result = { tools: registry.list() };
+        const toolPage = paginate(registry.list(), { cursor: params?.cursor });
+        result = {
+          tools: toolPage.items.map(t => formatToolForSession(t, session)),
+          nextCursor: toolPage.nextCursor,
+        };
         break;
         
       case 'tools/call':
-        if (!hasScope(ws, 'tools:execute')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: tools:execute scope required');
-        }
         if (!params?.name) {
-          return sendError(ws, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: tool name required');
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: tool name required');
         }
         const tool = registry.get(params.name);
-        if (!tool) {
-          return sendError(ws, id, ERROR_CODES.INVALID_PARAMS, `Tool not found: ${params.name}`);
+        // Unknown tools are only evolved when the client can be asked what they should do
+        const evolve = !tool && canElicit(session) && registry.autoEvolveEnabled &&
+          !parseToolReference(params.name).version;
+        if (!tool && !evolve) {
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, `Tool not found: ${params.name}`);
         }
-        result = await registry.execute(params.name, params.arguments || {});
+        const permission = checkToolPermission(session.apiKeyData, tool);
+        if (!permission.allowed) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, `Permission denied: ${permission.requiredScope} scope required`);
+        }
+        result = formatToolResultForSession(
+          await registry.execute(params.name, params.arguments || {}, {
+            user: session.apiKeyData,
+            sessionId: session.id,
+            requestId: id,
+            signal,
+            reportProgress: createProgressReporter({
+              progressToken: params._meta?.progressToken,
+              send: reply,
+              includeMessage: session.supports('progressMessages'),
+            }),
+            sample: createSampler({ session, send: reply, signal }),
+            elicit: createElicitor({ session, send: reply, signal }),
+            canElicit: canElicit(session),
+            autoEvolve: evolve,
+            getRoots: () => getRoots(session, { send: reply, signal }),
+          }),
+          session
+        );
         break;
         
       case 'prompts/list':
-        if (!hasScope(ws, 'prompts:read')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: prompts:read scope required');
+        if (!hasScope(session, 'prompts:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: prompts:read scope required');
         }
-        result = { prompts: promptRegistry.list() };
+        const promptPage = paginate(promptRegistry.list(), { cursor: params?.cursor });
+        result = { prompts: promptPage.items, nextCursor: promptPage.nextCursor };
         break;
         
       case 'prompts/get':
-        if (!hasScope(ws, 'prompts:read')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: prompts:read scope required');
+        if (!hasScope(session, 'prompts:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: prompts:read scope required');
         }
         if (!params?.name) {
-          return sendError(ws, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: prompt name required');
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: prompt name required');
         }
         const prompt = promptRegistry.get(params.name);
         if (!prompt) {
-          return sendError(ws, id, ERROR_CODES.INVALID_PARAMS, `Prompt not found: ${params.name}`);
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, `Prompt not found: ${params.name}`);
         }
-        result = promptRegistry.render(params.name, params.arguments || {});
+        result = await promptRegistry.render(params.name, params.arguments || {}, {
+          user: session.apiKeyData,
+          sessionId: session.id,
+          signal,
+        });
         break;
         
       case 'resources/list':
-        if (!hasScope(ws, 'resources:read')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: resources:read scope required');
+        if (!hasScope(session, 'resources:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: resources:read scope required');
         }
-        result = { resources: resourceRegistry.list() };
+        const resourcePage = paginate(resourceRegistry.list(), {
+          cursor: params?.cursor,
+          getKey: r => r.uri,
+        });
+        result = { resources: resourcePage.items, nextCursor: resourcePage.nextCursor };
+        break;
+        
+      case 'resources/templates/list':
+        if (!hasScope(session, 'resources:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: resources:read scope required');
+        }
+        const templatePage = paginate(resourceRegistry.listTemplates(), {
+          cursor: params?.cursor,
+          getKey: t => t.uriTemplate,
+        });
+        result = { resourceTemplates: templatePage.items, nextCursor: templatePage.nextCursor };
         break;
         
       case 'resources/read':
-        if (!hasScope(ws, 'resources:read')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: resources:read scope required');
+        if (!hasScope(session, 'resources:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: resources:read scope required');
         }
         if (!params?.uri) {
-          return sendError(ws, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: resource URI required');
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: resource URI required');
         }
         const resource = resourceRegistry.get(params.uri);
         if (!resource) {
-          return sendError(ws, id, ERROR_CODES.INVALID_PARAMS, `Resource not found: ${params.uri}`);
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, `Resource not found: ${params.uri}`);
+        }
+        result = await resourceRegistry.read(params.uri, {
+          user: session.apiKeyData,
+          sessionId: session.id,
+          signal,
+        });
+        break;
+        
+      case 'resources/subscribe':
+        if (!hasScope(session, 'resources:read')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: resources:read scope required');
+        }
+        if (!params?.uri) {
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: resource URI required');
+        }
+        if (!resourceRegistry.has(params.uri)) {
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, `Resource not found: ${params.uri}`);
+        }
+        session.resourceSubscriptions.add(params.uri);
+        logger.debug('Resource subscribed', { clientId: session.id, uri: params.uri });
+        result = {};
+        break;
+        
+      case 'resources/unsubscribe':
+        if (!params?.uri) {
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS, 'Invalid params: resource URI required');
         }
-        result = await resourceRegistry.read(params.uri);
+        session.resourceSubscriptions.delete(params.uri);
+        logger.debug('Resource unsubscribed', { clientId: session.id, uri: params.uri });
+        result = {};
         break;
         
       case 'sampling/createMessage':
-        if (!hasScope(ws, 'sampling:create') && !hasScope(ws, 'sampling')) {
-          return sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: sampling:create scope required');
+        if (!hasScope(session, 'sampling:create') && !hasScope(session, 'sampling')) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, 'Permission denied: sampling:create scope required');
         }
         try {
-          result = await handleSampling(ws, params);
+          result = await handleSampling(reply, params, signal);
         } catch (error) {
           const errorCode = mapHttpStatusToRpcError(error.statusCode);
-          return sendError(ws, id, errorCode, error.message, {
+          return sendError(reply, id, errorCode, error.message, {
             provider: error.providerName || params?.provider,
             statusCode: error.statusCode,
           });
         }
         break;
       
+      case 'completion/complete':
+        if (!session.supports('completions')) {
+          return sendError(reply, id, ERROR_CODES.METHOD_NOT_FOUND,
+            `Method not found: ${method} (requires protocol version 2025-03-26 or later)`);
+        }
+        const completionScope = params?.ref?.type === 'ref/resource' ? 'resources:read' : 'prompts:read';
+        if (!hasScope(session, completionScope)) {
+          return sendError(reply, id, ERROR_CODES.INTERNAL_ERROR, `Permission denied: ${completionScope} scope required`);
+        }
+        result = await complete(params?.ref, params?.argument, {
+          arguments: params?.context?.arguments || {},
+          user: session.apiKeyData,
+          sessionId: session.id,
+        });
+        break;
+        
+      case 'logging/setLevel':
+        if (!isValidLogLevel(params?.level)) {
+          return sendError(reply, id, ERROR_CODES.INVALID_PARAMS,
+            `Invalid params: level must be one of ${MCP_LOG_LEVELS.join(', ')}`);
+        }
+        session.logLevel = params.level;
+        logger.debug('MCP log level set', { clientId: session.id, level: params.level });
+        result = {};
+        break;
+        
       case 'providers/list':
         result = { providers: providerManager.listProviders() };
         break;
@@ -306,20 +612,163 @@ async function handleMessage(ws, message) {
         break;
         
       default:
-        return sendError(ws, id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        return sendError(reply, id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`);
     }
     
     const duration = Date.now() - startTime;
-    logger.debug('WebSocket method executed', { method, duration: `${duration}ms` });
+    logger.debug('MCP method executed', { method, transport: session.transport, duration: `${duration}ms` });
     
-    sendResult(ws, id, result);
+    sendResult(reply, id, result);
   } catch (error) {
+    if (signal.aborted) {
+      logger.debug('MCP request cancelled', { method, id, clientId: session.id });
+      return;
+    }
     logger.error('Method execution error', { 
       method, 
       error: error.message,
-      clientId: ws.clientId,
+      clientId: session.id,
     });
-    sendError(ws, id, ERROR_CODES.INTERNAL_ERROR, error.message);
+    const errorCode = mapHttpStatusToRpcError(error.statusCode);
+    sendError(reply, id, errorCode, error.message,
+      errorCode === ERROR_CODES.INVALID_PARAMS && error.validationErrors
+        ? { validationErrors: error.validationErrors }
+        : {});
+  }
+}
+
+/**
+ * Handle a JSON-RPC batch, replying with a single array of responses
+ * @param {McpSession} session - MCP session the batch arrived on
+ * @param {Array} messages - JSON-RPC 2.0 messages
+ * @param {Function} [reply] - Sends the batch response; defaults to the session channel
+ */
+async function handleBatch(session, messages, reply = (data) => session.send(data)) {
+  if (messages.length === 0) {
+    return sendError(reply, null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+  
+  if (!session.supports('batching')) {
+    return sendError(reply, null, ERROR_CODES.INVALID_REQUEST,
+      `JSON-RPC batching is not supported in protocol version ${session.protocolVersion}`);
+  }
+  
+  const responses = [];
+  const collect = (data) => {
+    if (data.method) {
+      return reply(data);
+    } else {
+      responses.push(data);
+    }
+  };
+  
+  await Promise.all(messages.map(message => handleMessage(session, message, collect)));
+  
+  if (responses.length > 0) {
+    reply(responses);
+  }
+}
+
+/**
+ * Shape a tool definition for the session's protocol version. Only MCP tool
+ * fields are kept; registry extras (category, version, limits, ...) are for REST.
+ * @param {Object} tool - Tool definition from the registry
+ * @param {McpSession} session - MCP session
+ * @returns {Object} Tool definition without fields the client does not know
+ */
+function formatToolForSession(tool, session) {
+  const { name, title, description, inputSchema, outputSchema, annotations } = tool;
+  
+  // Before top-level titles existed, the display name went in annotations.title
+  const sessionAnnotations = title && !session.supports('toolTitles')
+    ? { title, ...annotations }
+    : annotations;
+  
+  return {
+    name,
+    description,
+    inputSchema,
+    ...(title && session.supports('toolTitles') && { title }),
+    ...(sessionAnnotations && session.supports('toolAnnotations') && { annotations: sessionAnnotations }),
+    ...(outputSchema && session.supports('structuredOutput') && { outputSchema }),
+  };
+}
+
+/**
+ * Shape a tool result for the session's protocol version
+ * @param {Object} result - Tool result
+ * @param {McpSession} session - MCP session
+ * @returns {Object} Tool result without fields the client does not know
+ */
+function formatToolResultForSession(result, session) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+  
+  const { structuredContent, ...rest } = result;
+  const formatted = session.supports('structuredOutput') ? result : rest;
+  
+  if (!Array.isArray(formatted.content)) {
+    return formatted;
+  }
+  
+  return {
+    ...formatted,
+    content: formatted.content.map(item => formatContentForSession(item, session)),
+  };
+}
+
+/**
+ * Replace a content item the session's protocol version does not know with a text description
+ * @param {Object} item - Tool result content item
+ * @param {McpSession} session - MCP session
+ * @returns {Object} Content item
+ */
+function formatContentForSession(item, session) {
+  if (item?.type === 'resource_link' && !session.supports('resourceLinks')) {
+    return {
+      type: 'text',
+      text: `Resource ${item.name}: ${item.uri}${item.description ? ` (${item.description})` : ''}`,
+    };
+  }
+  if (item?.type === 'audio' && !session.supports('audioContent')) {
+    return { type: 'text', text: `[${item.mimeType} audio omitted: not supported by this protocol version]` };
+  }
+  return item;
+}
+
+/**
+ * Handle JSON-RPC notification (no response is ever sent)
+ * @param {McpSession} session - MCP session
+ * @param {string} method - Notification method
+ * @param {Object} params - Notification parameters
+ */
+async function handleNotification(session, method, params) {
+  switch (method) {
+    case 'notifications/initialized':
+      session.initialized = true;
+      logger.debug('MCP session initialized', { clientId: session.id, transport: session.transport });
+      break;
+      
+    case 'notifications/roots/list_changed':
+      if (!supportsRoots(session)) break;
+      logger.debug('Client roots changed', { clientId: session.id });
+      invalidateRoots(session);
+      break;
+      
+    case 'notifications/cancelled':
+      if (params?.requestId === undefined) break;
+      if (session.requests.cancel(params.requestId, params.reason || 'Cancelled by client')) {
+        logger.info('MCP request cancelled by client', {
+          clientId: session.id,
+          requestId: params.requestId,
+          reason: params.reason,
+        });
+      }
+      break;
+      
+    default:
+      logger.debug('Ignoring unsupported notification', { method, clientId: session.id });
   }
 }
 
@@ -338,12 +787,13 @@ function mapHttpStatusToRpcError(statusCode) {
 
 /**
  * Handle sampling/createMessage request
- * @param {WebSocket} ws - WebSocket connection
+ * @param {Function} reply - Request reply channel
  * @param {Object} params - Sampling parameters
+ * @param {AbortSignal} [signal] - Aborts the provider request
  * @returns {Promise<Object>} Sampling result
  */
-async function handleSampling(ws, params) {
-  const { messages, modelPreferences, maxTokens, provider: providerName } = params;
+async function handleSampling(reply, params, signal) {
+  const { messages, modelPreferences, maxTokens, provider: providerName } = params || {};
   
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
     const error = new Error('Invalid params: messages array required');
@@ -363,13 +813,14 @@ async function handleSampling(ws, params) {
   }));
   
   if (params.stream) {
-    return handleStreamingSampling(ws, formattedMessages, selectedProvider, model, maxTokens);
+    return handleStreamingSampling(reply, formattedMessages, selectedProvider, model, maxTokens, signal);
   }
   
   const response = await providerManager.chat(formattedMessages, { 
     provider: selectedProvider, 
     model,
     maxTokens,
+    signal,
   });
   
   return {
@@ -383,17 +834,18 @@ async function handleSampling(ws, params) {
 
 /**
  * Handle streaming sampling request
- * @param {WebSocket} ws - WebSocket connection
+ * @param {Function} reply - Request reply channel
  * @param {Array} messages - Formatted messages
  * @param {string} provider - Provider name
  * @param {string} model - Model name
  * @param {number} maxTokens - Max tokens
+ * @param {AbortSignal} [signal] - Aborts the provider stream
  * @returns {Promise<Object>} Stream result
  */
-async function handleStreamingSampling(ws, messages, provider, model, maxTokens) {
+async function handleStreamingSampling(reply, messages, provider, model, maxTokens, signal) {
   const streamId = uuidv4();
   
-  safeSend(ws, {
+  reply({
     jsonrpc: '2.0',
     method: 'sampling/progress',
     params: { streamId, status: 'started', provider },
@@ -404,15 +856,16 @@ async function handleStreamingSampling(ws, messages, provider, model, maxTokens)
       provider, 
       model,
       maxTokens,
+      signal,
     })) {
-      safeSend(ws, {
+      reply({
         jsonrpc: '2.0',
         method: 'sampling/chunk',
         params: { streamId, content: chunk },
       });
     }
     
-    safeSend(ws, {
+    reply({
       jsonrpc: '2.0',
       method: 'sampling/progress',
       params: { streamId, status: 'completed' },
@@ -420,7 +873,7 @@ async function handleStreamingSampling(ws, messages, provider, model, maxTokens)
     
     return { streamId, status: 'completed' };
   } catch (error) {
-    safeSend(ws, {
+    reply({
       jsonrpc: '2.0',
       method: 'sampling/progress',
       params: { streamId, status: 'error', error: error.message },
@@ -431,16 +884,12 @@ async function handleStreamingSampling(ws, messages, provider, model, maxTokens)
 
 /**
  * Send JSON-RPC 2.0 result
- * @param {WebSocket} ws - WebSocket connection
+ * @param {Function} reply - Request reply channel
  * @param {string|number} id - Request ID
  * @param {*} result - Result data
  */
-function sendResult(ws, id, result) {
-  if (ws.readyState !== WebSocket.OPEN) {
-    logger.warn('Cannot send result: WebSocket not open', { clientId: ws.clientId });
-    return;
-  }
-  safeSend(ws, {
+function sendResult(reply, id, result) {
+  reply({
     jsonrpc: '2.0',
     result,
     id,
@@ -449,18 +898,14 @@ function sendResult(ws, id, result) {
 
 /**
  * Send JSON-RPC 2.0 error
- * @param {WebSocket} ws - WebSocket connection
+ * @param {Function} reply - Request reply channel
  * @param {string|number} id - Request ID
  * @param {number} code - Error code
  * @param {string} message - Error message
  * @param {Object} metadata - Additional error data
  */
-function sendError(ws, id, code, message, metadata = {}) {
-  if (ws.readyState !== WebSocket.OPEN) {
-    logger.warn('Cannot send error: WebSocket not open', { clientId: ws.clientId });
-    return;
-  }
-  safeSend(ws, {
+function sendError(reply, id, code, message, metadata = {}) {
+  reply({
     jsonrpc: '2.0',
     error: { 
       code, 
@@ -473,6 +918,12 @@ function sendError(ws, id, code, message, metadata = {}) {
 
 module.exports = { 
   setupWebSocket,
+  handleMessage,
+  handleBatch,
+  hasScope,
+  mapHttpStatusToRpcError,
+  formatToolForSession,
+  formatToolResultForSession,
   ERROR_CODES,
-  PROTOCOL_VERSION,
+  SERVER_INFO,
 };
@@ -0,0 +1,60 @@
+/**
+ * SPURS MCP Server - stdio entrypoint
+ * Launched by desktop MCP hosts as a child process. Serves the same tools,
+ * prompts, resources and providers as the HTTP server, without Express.
+ */
+process.env.MCP_TRANSPORT = 'stdio';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+require('dotenv').config();
+
+const logger = require('./src/utils/logger');
+const { validateApiKey } = require('./src/middleware/apiKeys');
+const { registry } = require('./src/mcp/toolRegistry');
+const { startStdioTransport } = require('./src/transports/stdio');
+const { startListChangedNotifications } = require('./src/mcp/listChanged');
+const { startResourceSubscriptions } = require('./src/mcp/resourceSubscriptions');
+const { startLogForwarding } = require('./src/mcp/logForwarding');
+const { upstreamManager } = require('./src/gateway/upstreams');
+
+require('./src/tools');
+startListChangedNotifications();
+startResourceSubscriptions();
+startLogForwarding();
+
+async function main() {
+  const apiKey = process.env.MCP_API_KEY;
+
+  if (!apiKey) {
+    logger.error('MCP_API_KEY environment variable is required for stdio mode');
+    process.exit(1);
+  }
+
+  const keyData = await validateApiKey(apiKey);
+  if (!keyData) {
+    logger.error('Invalid MCP_API_KEY');
+    process.exit(1);
+  }
+
+  registry.initialize().catch(err => {
+    logger.warn('Failed to initialize dynamic tool registry', { error: err.message });
+  });
+
+  upstreamManager.start().catch(err => {
+    logger.warn('Failed to start MCP gateway', { error: err.message });
+  });
+
+  const session = startStdioTransport({ apiKeyData: keyData });
+  session.onClose(() => process.exit(0));
+}
+
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection', { reason });
+});
+
+main();